@@ -0,0 +1,204 @@
+const mongoose = require("mongoose");
+const AssignmentRule = require("../models/AssignmentRule");
+const User = require("../models/User");
+const { validationResult } = require("express-validator");
+
+// Members must be distinct, active users; returns { members } or { error }
+const normalizeMembers = async (members) => {
+  const cleaned = [];
+  const seen = new Set();
+  for (const member of members) {
+    const userId = member && member.user ? member.user.toString() : "";
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return { error: `Invalid member user ID "${userId}"` };
+    }
+    if (seen.has(userId)) {
+      return { error: "A user can only be a member of a rule once" };
+    }
+    seen.add(userId);
+    cleaned.push({ user: userId, weight: member.weight !== undefined ? Number(member.weight) : 1 });
+  }
+
+  const users = await User.find({ _id: { $in: [...seen] }, isActive: true }).select("_id");
+  if (users.length !== seen.size) {
+    return { error: "Every member must be an active user" };
+  }
+  return { members: cleaned };
+};
+
+// Get all assignment rules in the order they are tried
+const getRules = async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find({})
+      .sort({ priority: 1, createdAt: 1 })
+      .populate("members.user", "name email isActive");
+
+    res.json({
+      success: true,
+      rules,
+    });
+  } catch (error) {
+    console.error("Get assignment rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching assignment rules",
+      error: error.message,
+    });
+  }
+};
+
+// Create an assignment rule
+const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, priority, isActive, conditions, strategy } = req.body;
+
+    const { members, error: membersError } = await normalizeMembers(req.body.members);
+    if (membersError) {
+      return res.status(400).json({
+        success: false,
+        message: membersError,
+      });
+    }
+
+    const existing = await AssignmentRule.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `An assignment rule named "${name}" already exists`,
+      });
+    }
+
+    const rule = new AssignmentRule({
+      name,
+      priority,
+      isActive,
+      conditions: conditions || [],
+      strategy,
+      members,
+      createdBy: req.user.id,
+    });
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Assignment rule created successfully",
+      rule,
+    });
+  } catch (error) {
+    console.error("Create assignment rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating assignment rule",
+      error: error.message,
+    });
+  }
+};
+
+// Update an assignment rule. Changing the members restarts the rotation.
+const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await AssignmentRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment rule not found",
+      });
+    }
+
+    const { name, priority, isActive, conditions, strategy } = req.body;
+
+    if (name !== undefined && name !== rule.name) {
+      const existing = await AssignmentRule.findOne({ name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `An assignment rule named "${name}" already exists`,
+        });
+      }
+      rule.name = name;
+    }
+
+    if (req.body.members !== undefined) {
+      const { members, error: membersError } = await normalizeMembers(req.body.members);
+      if (membersError) {
+        return res.status(400).json({
+          success: false,
+          message: membersError,
+        });
+      }
+      rule.members = members;
+      rule.cursor = 0;
+    }
+
+    if (priority !== undefined) rule.priority = priority;
+    if (isActive !== undefined) rule.isActive = isActive;
+    if (conditions !== undefined) rule.conditions = conditions;
+    if (strategy !== undefined) rule.strategy = strategy;
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: "Assignment rule updated successfully",
+      rule,
+    });
+  } catch (error) {
+    console.error("Update assignment rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating assignment rule",
+      error: error.message,
+    });
+  }
+};
+
+// Delete an assignment rule; leads it assigned keep their assignee
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment rule not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Assignment rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete assignment rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting assignment rule",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Get audit log entries of the caller's organization
+// @route   GET /api/audit
+// @access  Private (audit.view)
+const getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { user, entity, entityId, action, from, to } = req.query;
+
+    const query = {};
+
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      query.actor = user;
+    }
+
+    if (entity) {
+      query.entity = entity;
+    }
+
+    if (entityId) {
+      if (!mongoose.Types.ObjectId.isValid(entityId)) {
+        return res.status(400).json({ message: 'Invalid entity ID' });
+      }
+      query.entityId = entityId;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          return res.status(400).json({ message: 'Invalid "from" date' });
+        }
+        query.createdAt.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+          return res.status(400).json({ message: 'Invalid "to" date' });
+        }
+        query.createdAt.$lte = toDate;
+      }
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
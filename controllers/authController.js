@@ -3,10 +3,28 @@ const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const Lead = require('../models/Lead');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { runWithTenant } = require('../utils/tenantScope');
+const { hasPermission } = require('../utils/permissions');
+
+// Role given to new users who do not ask for one
+const DEFAULT_USER_ROLE = 'agent';
+
+// Whether a user may give a role to someone: never a role with permissions they lack
+// themselves, and admin or orgAdmin only when they have that role (admins may give both)
+const canGrantRole = async (user, organization, roleName) => {
+  const ownRole = await Role.resolveRole(user.role);
+  if (roleName === Role.ADMIN_ROLE && ownRole !== Role.ADMIN_ROLE) return false;
+  if (roleName === Role.ORG_ADMIN_ROLE && ![Role.ADMIN_ROLE, Role.ORG_ADMIN_ROLE].includes(ownRole)) return false;
+
+  const { permissions } = await Role.getAccess(roleName, organization);
+  return permissions.every((permission) => hasPermission(user, permission));
+};
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Generate JWT Token, valid only in the user's organization
+const generateToken = (userId, organizationId) => {
+  return jwt.sign({ userId, organizationId: organizationId.toString() }, process.env.JWT_SECRET, { expiresIn: '7d' });
 };
 
 // @desc    Register user
@@ -19,31 +37,36 @@ const register = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
-    // Check if user already exists using the new static method
+    // Check if user already exists using the new static method.
+    // Emails are unique across organizations so login needs no organization.
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Validate role if provided
-    if (role && !['user', 'admin'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be "user" or "admin"' });
-    }
+    // Signing up joins the platform organization. Users of other organizations are
+    // created by their organization's admins (POST /api/auth/users).
+    const organization = await Organization.getDefaultOrganization();
+
+    // Signing up cannot choose a role: the first user of the deployment becomes the admin,
+    // everyone else gets the default role until someone with users.manage changes it
+    const isFirstUser = (await User.countDocuments({})) === 0;
 
     // Create new user
     const user = new User({
       name,
       email,
       password,
-      role: role || 'user' // Default to 'user' if no role provided
+      role: isFirstUser ? Role.ADMIN_ROLE : DEFAULT_USER_ROLE,
+      organizationId: organization._id
     });
 
     await user.save();
 
     // Generate token
-    const token = generateToken(user._id);
+    const token = generateToken(user._id, organization._id);
 
 
 
@@ -55,6 +78,7 @@ const register = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        organization: { id: organization._id, name: organization.name, slug: organization.slug },
         createdAt: user.createdAt
       }
     });
@@ -93,6 +117,12 @@ const login = async (req, res) => {
       return res.status(400).json({ message: 'Incorrect password. Please try again.' });
     }
 
+    // Check the user's organization is still active
+    const organization = user.organizationId ? await Organization.findById(user.organizationId) : null;
+    if (!organization || !organization.isActive) {
+      return res.status(400).json({ message: 'Organization is deactivated. Please contact support for assistance.' });
+    }
+
     // Update last login
     await user.updateLastLogin();
 
@@ -111,6 +141,7 @@ const login = async (req, res) => {
     // Create new session
     const session = new Session({
       userId: user._id,
+      organizationId: organization._id,
       loginTime: new Date(),
       userAgent: req.headers['user-agent'],
       ipAddress: req.ip || req.connection.remoteAddress
@@ -120,7 +151,7 @@ const login = async (req, res) => {
 
 
     // Generate token
-    const token = generateToken(user._id);
+    const token = generateToken(user._id, organization._id);
 
 
 
@@ -132,6 +163,8 @@ const login = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        organization: { id: organization._id, name: organization.name, slug: organization.slug },
+        ...(await runWithTenant(organization._id, () => Role.getAccess(user.role, organization))),
         lastLogin: user.lastLogin,
         firstLoginTime: user.firstLoginTime
       }
@@ -170,9 +203,9 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
-// @desc    Get all users (admin only)
+// @desc    Get all users
 // @route   GET /api/auth/users
-// @access  Private/Admin
+// @access  Private (users.manage)
 const getAllUsers = async (req, res) => {
   try {
     const users = await User.find({}).select('-password').sort({ createdAt: -1 });
@@ -187,20 +220,85 @@ const getAllUsers = async (req, res) => {
   }
 };
 
-// @desc    Update user role (admin only)
+// @desc    Create a user in the caller's organization
+// @route   POST /api/auth/users
+// @access  Private (users.manage)
+const createUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, password, role } = req.body;
+
+    // Emails are unique across organizations
+    const existingUser = await runWithTenant(null, () => User.findByEmail(email));
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const roleName = role ? await Role.resolveRole(role) : DEFAULT_USER_ROLE;
+    if (!roleName) {
+      return res.status(400).json({ message: 'Invalid role. Must be one of: ' + (await Role.getRoles()).map((r) => r.name).join(', ') });
+    }
+    if (!(await canGrantRole(req.user, req.organization, roleName))) {
+      return res.status(403).json({ message: 'You cannot give a role with more access than your own' });
+    }
+
+    // Saved in the caller's organization by the tenant scope
+    const user = new User({
+      name,
+      email,
+      password,
+      role: roleName
+    });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('❌ Create user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update user role
 // @route   PUT /api/auth/users/:id/role
-// @access  Private/Admin
+// @access  Private (users.manage)
 const updateUserRole = async (req, res) => {
   try {
-    const { role } = req.body;
-    
-    if (!['user', 'admin'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be "user" or "admin"' });
+    const roleName = await Role.resolveRole(req.body.role);
+    if (!roleName) {
+      return res.status(400).json({ message: 'Invalid role. Must be one of: ' + (await Role.getRoles()).map((r) => r.name).join(', ') });
+    }
+    if (!(await canGrantRole(req.user, req.organization, roleName))) {
+      return res.status(403).json({ message: 'You cannot give a role with more access than your own' });
+    }
+
+    const existingUser = await User.findById(req.params.id).select('role');
+    if (!existingUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Users with more access than the caller cannot be demoted by them either
+    const currentRole = await Role.resolveRole(existingUser.role);
+    if (currentRole && !(await canGrantRole(req.user, req.organization, currentRole))) {
+      return res.status(403).json({ message: 'You cannot change the role of a user with more access than your own' });
     }
 
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { role },
+      { role: roleName },
       { new: true }
     ).select('-password');
 
@@ -219,9 +317,9 @@ const updateUserRole = async (req, res) => {
   }
 };
 
-// @desc    Get system statistics (admin only)
+// @desc    Get system statistics
 // @route   GET /api/auth/stats
-// @access  Private/Admin
+// @access  Private (system.stats)
 const getSystemStats = async (req, res) => {
   try {
     // Import models if not already imported
@@ -274,9 +372,9 @@ const checkFirstUser = async (req, res) => {
   }
 };
 
-// @desc    Delete user (admin only)
+// @desc    Delete user
 // @route   DELETE /api/auth/users/:id
-// @access  Private/Admin
+// @access  Private (users.manage)
 const deleteUser = async (req, res) => {
   try {
     const userId = req.params.id;
@@ -307,6 +405,13 @@ const deleteUser = async (req, res) => {
     
     // Finally, delete the user
     await User.findByIdAndDelete(userId);
+
+    // Record the cascade in the audit trail
+    res.locals.auditDetails = {
+      deletedSessions: deletedSessions.deletedCount,
+      deletedLeads: deletedLeads.deletedCount,
+      unassignedLeads: updatedLeads.modifiedCount
+    };
     
     res.json({
       success: true,
@@ -323,6 +428,7 @@ module.exports = {
   login,
   getCurrentUser,
   getAllUsers,
+  createUser,
   updateUserRole,
   getSystemStats,
   checkFirstUser,
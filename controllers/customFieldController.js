@@ -0,0 +1,211 @@
+const CustomFieldDefinition = require("../models/CustomFieldDefinition");
+const { findDefinition } = require("../utils/customFields");
+const { validationResult } = require("express-validator");
+
+// Keys and labels both identify a field in sheets and filters, so neither may match another field
+const findConflict = (definitions, values, excludeId) => {
+  const others = definitions.filter(
+    (definition) => !excludeId || definition._id.toString() !== excludeId.toString()
+  );
+  return [values.key, values.label]
+    .filter(Boolean)
+    .map((name) => findDefinition(others, name))
+    .find(Boolean);
+};
+
+// Options are required for select fields and only kept for them
+const normalizeOptions = (type, options) => {
+  if (type !== "select") return { options: [] };
+  const cleaned = [...new Set((options || []).map((option) => option.toString().trim()).filter(Boolean))];
+  if (cleaned.length === 0) {
+    return { error: "A select field needs at least one option" };
+  }
+  return { options: cleaned };
+};
+
+// Get all custom field definitions
+const getCustomFields = async (req, res) => {
+  try {
+    const fields = await CustomFieldDefinition.getDefinitions();
+
+    res.json({
+      success: true,
+      fields,
+    });
+  } catch (error) {
+    console.error("Get custom fields error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching custom fields",
+      error: error.message,
+    });
+  }
+};
+
+// Create a custom field definition
+const createCustomField = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { key, label, type = "text", required, order } = req.body;
+
+    const { options, error: optionsError } = normalizeOptions(type, req.body.options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError,
+      });
+    }
+
+    const definitions = await CustomFieldDefinition.getDefinitions();
+    const conflict = findConflict(definitions, { key, label: label || key });
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `Custom field "${conflict.label}" already uses this key or label`,
+      });
+    }
+
+    const field = new CustomFieldDefinition({
+      key,
+      label: label || key,
+      type,
+      options,
+      required: !!required,
+      order: order !== undefined ? order : definitions.length,
+      createdBy: req.user.id,
+    });
+    await field.save();
+
+    console.log(`✅ Custom field "${field.key}" created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Custom field created successfully",
+      field,
+    });
+  } catch (error) {
+    console.error("Create custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating custom field",
+      error: error.message,
+    });
+  }
+};
+
+// Update a custom field definition. The key cannot change because lead values are stored
+// under it; existing values are not converted when the type changes.
+const updateCustomField = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const field = await CustomFieldDefinition.findById(req.params.id);
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom field not found",
+      });
+    }
+
+    if (req.body.key !== undefined && req.body.key !== field.key) {
+      return res.status(400).json({
+        success: false,
+        message: "The key of a custom field cannot be changed",
+      });
+    }
+
+    const { label, type, required, order } = req.body;
+
+    if (label !== undefined) {
+      const conflict = findConflict(await CustomFieldDefinition.getDefinitions(), { label }, field._id);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: `Custom field "${conflict.label}" already uses this key or label`,
+        });
+      }
+      field.label = label;
+    }
+
+    if (type !== undefined) field.type = type;
+    if (required !== undefined) field.required = required;
+    if (order !== undefined) field.order = order;
+
+    if (type !== undefined || req.body.options !== undefined) {
+      const { options, error: optionsError } = normalizeOptions(
+        field.type,
+        req.body.options !== undefined ? req.body.options : field.options
+      );
+      if (optionsError) {
+        return res.status(400).json({
+          success: false,
+          message: optionsError,
+        });
+      }
+      field.options = options;
+    }
+
+    await field.save();
+
+    res.json({
+      success: true,
+      message: "Custom field updated successfully",
+      field,
+    });
+  } catch (error) {
+    console.error("Update custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating custom field",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a custom field definition; values already stored on leads are kept as plain fields
+const deleteCustomField = async (req, res) => {
+  try {
+    const field = await CustomFieldDefinition.findByIdAndDelete(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom field not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Custom field deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete custom field error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting custom field",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+};
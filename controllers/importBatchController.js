@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const ImportBatch = require("../models/ImportBatch");
+const Lead = require("../models/Lead");
+const ImportantPoint = require("../models/ImportantPoint");
+const ImportJob = require("../models/ImportJob");
+
+const ROLLBACK_MODES = ["delete", "deactivate"];
+
+// Leads agents have not called yet; only these are touched by a rollback
+const unworkedFilter = (batchId) => ({
+  importBatch: batchId,
+  "callHistory.0": { $exists: false },
+});
+
+// List import batches, newest first, with their counts and uploader
+const getImportBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (req.query.uploadedBy) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.uploadedBy)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid uploadedBy user ID",
+        });
+      }
+      query.createdBy = req.query.uploadedBy;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const batches = await ImportBatch.find(query)
+      .populate("createdBy", "name email")
+      .populate("assignedTo", "name")
+      .populate("template", "name")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await ImportBatch.countDocuments(query);
+
+    // Current state of each batch's leads: still active, and already worked by agents
+    const leadCounts = await Lead.aggregate([
+      { $match: { importBatch: { $in: batches.map((batch) => batch._id) } } },
+      {
+        $group: {
+          _id: "$importBatch",
+          active: { $sum: { $cond: ["$isActive", 1, 0] } },
+          worked: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ["$callHistory", []] } }, 0] }, 1, 0] } },
+        },
+      },
+    ]);
+    const countsByBatch = new Map(leadCounts.map((count) => [count._id.toString(), count]));
+
+    res.json({
+      success: true,
+      batches: batches.map((batch) => {
+        const counts = countsByBatch.get(batch._id.toString()) || { active: 0, worked: 0 };
+        return {
+          ...batch.toObject(),
+          activeLeads: counts.active,
+          workedLeads: counts.worked,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get import batches error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching import history",
+      error: error.message,
+    });
+  }
+};
+
+// Roll back an import: delete or deactivate its leads that have not been worked yet.
+// Leads with call history are kept; existing leads updated by the import are not reverted.
+const rollbackImportBatch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Import batch not found",
+      });
+    }
+
+    const mode = req.body.mode || "deactivate";
+    if (!ROLLBACK_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid mode. Must be one of: " + ROLLBACK_MODES.join(", "),
+      });
+    }
+
+    const batch = await ImportBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Import batch not found",
+      });
+    }
+
+    if (batch.status === "rolledBack") {
+      return res.status(409).json({
+        success: false,
+        message: "Import batch has already been rolled back",
+      });
+    }
+
+    // A background import may still be adding leads to the batch
+    if (batch.importJob && await ImportJob.exists({ _id: batch.importJob, status: { $in: ["queued", "processing"] } })) {
+      return res.status(409).json({
+        success: false,
+        message: "The import is still running. Wait for it to finish or cancel it first.",
+      });
+    }
+
+    let removed;
+    if (mode === "delete") {
+      const leadIds = await Lead.find(unworkedFilter(batch._id)).distinct("_id");
+      const result = await Lead.deleteMany({ ...unworkedFilter(batch._id), _id: { $in: leadIds } });
+      removed = result.deletedCount;
+
+      // Drop the important points of the deleted leads (a lead may have been worked meanwhile and kept)
+      const keptIds = await Lead.find({ _id: { $in: leadIds } }).distinct("_id");
+      const keptSet = new Set(keptIds.map((id) => id.toString()));
+      await ImportantPoint.deleteMany({
+        leadId: { $in: leadIds.filter((id) => !keptSet.has(id.toString())) },
+      });
+    } else {
+      const result = await Lead.updateMany(
+        { ...unworkedFilter(batch._id), isActive: true },
+        { isActive: false }
+      );
+      removed = result.modifiedCount;
+    }
+
+    const keptLeads = await Lead.find({
+      importBatch: batch._id,
+      "callHistory.0": { $exists: true },
+    }).select("name phone status assignedTo");
+
+    batch.status = "rolledBack";
+    batch.rollback = {
+      mode,
+      removed,
+      kept: keptLeads.length,
+      rolledBackBy: req.user.id,
+      rolledBackAt: new Date(),
+    };
+    await batch.save();
+
+    res.locals.auditDetails = {
+      mode,
+      removed,
+      kept: keptLeads.length,
+      fileName: batch.fileName,
+    };
+
+    res.json({
+      success: true,
+      message:
+        `${mode === "delete" ? "Deleted" : "Deactivated"} ${removed} leads from the import` +
+        (keptLeads.length > 0 ? `, kept ${keptLeads.length} leads that have call history` : ""),
+      batch,
+      removed,
+      keptLeads,
+    });
+  } catch (error) {
+    console.error("Rollback import batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rolling back import",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getImportBatches,
+  rollbackImportBatch,
+};
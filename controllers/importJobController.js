@@ -0,0 +1,196 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const ImportJob = require("../models/ImportJob");
+const { enqueueImportJob } = require("../services/importWorker");
+const { hasPermission } = require("../utils/permissions");
+
+// Upload options stored with a job and applied by the worker (same as the /upload endpoint)
+const JOB_OPTIONS = [
+  "mapping",
+  "templateId",
+  "duplicatePolicy",
+  "duplicateMatch",
+  "assignedTo",
+  "defaultSource",
+  "defaultStatus",
+  "partial",
+  "saveTemplateAs",
+];
+
+// Job as returned by the API, with overall progress: validating the rows is the first
+// half, writing them the second
+const formatJob = (job) => {
+  const total = job.totalRows || 0;
+  const progress = total > 0
+    ? Math.round(((job.rowsParsed + job.rowsProcessed) / (total * 2)) * 100)
+    : 0;
+
+  return {
+    id: job._id,
+    fileName: job.fileName,
+    status: job.status,
+    progress: job.status === "completed" ? 100 : progress,
+    totalRows: total,
+    rowsParsed: job.rowsParsed,
+    rowsProcessed: job.rowsProcessed,
+    inserted: job.inserted,
+    updated: job.updated,
+    duplicates: job.duplicates,
+    failed: job.failed,
+    importBatch: job.importBatch,
+    errorMessage: job.errorMessage,
+    errorReport: job.errorReport
+      ? {
+          id: job.errorReport,
+          downloadUrl: `/api/leads/import-reports/${job.errorReport}/download`,
+        }
+      : null,
+    cancelRequested: job.cancelRequested,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+};
+
+// Users who cannot see every lead only see the jobs they started
+const findJob = async (jobId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  const query = { _id: jobId };
+  if (!hasPermission(user, "leads.viewAll")) {
+    query.createdBy = user._id;
+  }
+  return ImportJob.findOne(query);
+};
+
+// Queue a large file for import in the background
+const createImportJob = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    const options = {};
+    JOB_OPTIONS.forEach((key) => {
+      if (req.body[key] !== undefined && req.body[key] !== "") options[key] = req.body[key];
+    });
+
+    const job = await ImportJob.create({
+      fileName: req.file.originalname,
+      filePath: req.file.path,
+      options,
+      createdBy: req.user.id,
+    });
+
+    enqueueImportJob(job._id);
+
+    res.status(202).json({
+      success: true,
+      message: "Import queued",
+      job: formatJob(job),
+      statusUrl: `/api/leads/imports/${job._id}`,
+    });
+  } catch (error) {
+    console.error("Create import job error:", error);
+    if (req.file && req.file.path) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error queueing import",
+      error: error.message,
+    });
+  }
+};
+
+// Get the progress of an import job
+const getImportJob = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId, req.user);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Get import job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching import job",
+      error: error.message,
+    });
+  }
+};
+
+// Cancel an import job. A queued job is cancelled right away; a running job stops before
+// its next chunk, keeping the leads already written.
+const cancelImportJob = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId, req.user);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    if (!["queued", "processing"].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Import job is already ${job.status}`,
+      });
+    }
+
+    let updated = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: "queued" },
+      { status: "cancelled", cancelRequested: true, finishedAt: new Date(), filePath: null },
+      { new: true }
+    );
+    if (updated) {
+      fs.promises.unlink(job.filePath).catch(() => {});
+    } else {
+      updated = await ImportJob.findOneAndUpdate(
+        { _id: job._id, status: "processing" },
+        { cancelRequested: true },
+        { new: true }
+      );
+    }
+
+    // The job finished between the lookup and the update
+    if (!updated) {
+      const current = await ImportJob.findById(job._id);
+      return res.status(409).json({
+        success: false,
+        message: `Import job is already ${current.status}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: updated.status === "cancelled" ? "Import cancelled" : "Cancellation requested",
+      job: formatJob(updated),
+    });
+  } catch (error) {
+    console.error("Cancel import job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling import job",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createImportJob,
+  getImportJob,
+  cancelImportJob,
+};
@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const ImportTemplate = require("../models/ImportTemplate");
+const PipelineStage = require("../models/PipelineStage");
+const { validateMapping, headerSignature } = require("../utils/leadImport");
+
+// Check and normalize template fields from the request body; returns { values } or { error }
+const readTemplateBody = async (body, isUpdate) => {
+  const values = {};
+
+  if (!isUpdate || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "Template name is required" };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (!isUpdate || body.mapping !== undefined) {
+    const mapping = body.mapping;
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+      return { error: "mapping must be an object of column header to field" };
+    }
+
+    const headers = Object.keys(mapping);
+    const mappingError = validateMapping(
+      headers.map((header, index) => ({ column: index, header, field: mapping[header] }))
+    );
+    if (mappingError) {
+      return { error: mappingError };
+    }
+
+    values.mapping = mapping;
+    values.headerSignature = headerSignature(headers);
+  }
+
+  if (body.defaultStatus !== undefined) {
+    if (body.defaultStatus) {
+      values.defaultStatus = await PipelineStage.resolveStatus(body.defaultStatus);
+      if (!values.defaultStatus) {
+        return { error: "Invalid defaultStatus" };
+      }
+    } else {
+      values.defaultStatus = null;
+    }
+  }
+
+  if (body.defaultSource !== undefined) {
+    values.defaultSource = body.defaultSource ? String(body.defaultSource).trim() : null;
+  }
+
+  if (body.defaultAssignee !== undefined) {
+    if (body.defaultAssignee && !mongoose.Types.ObjectId.isValid(body.defaultAssignee)) {
+      return { error: "Invalid defaultAssignee user ID" };
+    }
+    values.defaultAssignee = body.defaultAssignee || null;
+  }
+
+  return { values };
+};
+
+// Get all import templates
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await ImportTemplate.find({})
+      .populate("defaultAssignee", "name")
+      .populate("createdBy", "name")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      templates,
+    });
+  } catch (error) {
+    console.error("Get import templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching import templates",
+      error: error.message,
+    });
+  }
+};
+
+// Create an import template
+const createTemplate = async (req, res) => {
+  try {
+    const { values, error } = await readTemplateBody(req.body, false);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (await ImportTemplate.exists({ name: values.name })) {
+      return res.status(400).json({
+        success: false,
+        message: `A template named "${values.name}" already exists`,
+      });
+    }
+
+    const template = new ImportTemplate({
+      ...values,
+      createdBy: req.user.id,
+    });
+    await template.save();
+
+    console.log(`✅ Import template "${template.name}" created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Import template created successfully",
+      template,
+    });
+  } catch (error) {
+    console.error("Create import template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating import template",
+      error: error.message,
+    });
+  }
+};
+
+// Update an import template
+const updateTemplate = async (req, res) => {
+  try {
+    const { values, error } = await readTemplateBody(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (values.name && (await ImportTemplate.exists({ name: values.name, _id: { $ne: req.params.id } }))) {
+      return res.status(400).json({
+        success: false,
+        message: `A template named "${values.name}" already exists`,
+      });
+    }
+
+    const template = await ImportTemplate.findByIdAndUpdate(req.params.id, values, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Import template not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Import template updated successfully",
+      template,
+    });
+  } catch (error) {
+    console.error("Update import template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating import template",
+      error: error.message,
+    });
+  }
+};
+
+// Delete an import template
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await ImportTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Import template not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Import template deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete import template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting import template",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -1,5 +1,6 @@
 const ImportantPoint = require("../models/ImportantPoint");
 const Lead = require("../models/Lead");
+const { checkLeadAccess } = require("../services/leadAccessService");
 
 // Create a new important point
 const createImportantPoint = async (req, res) => {
@@ -15,12 +16,12 @@ const createImportantPoint = async (req, res) => {
       });
     }
 
-    // Check if lead exists
-    const lead = await Lead.findById(leadId);
-    if (!lead) {
-      return res.status(404).json({
+    // Check that the lead exists and is within the user's scope
+    const denied = await checkLeadAccess(req.user, leadId);
+    if (denied) {
+      return res.status(denied.status).json({
         success: false,
-        message: "Lead not found",
+        message: denied.message,
       });
     }
 
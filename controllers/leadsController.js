@@ -1,4 +1,54 @@
+const mongoose = require("mongoose");
 const Lead = require("../models/Lead");
+const ImportantPoint = require("../models/ImportantPoint");
+const { buildLeadFilter, visibilityCondition, canSeeLead } = require("../utils/leadQuery");
+const { searchTerms, buildHighlights } = require("../utils/textSearch");
+const { findLeadPage } = require("../services/leadListService");
+const {
+  EXPORT_FORMATS,
+  STREAMING_FORMATS,
+  MAX_XLSX_ROWS,
+  parseExportColumns,
+  additionalColumnsFor,
+  additionalColumnsForKeys,
+  buildExportFile,
+  streamExport,
+} = require("../utils/leadExport");
+const {
+  LEAD_FIELDS,
+  ADDITIONAL_FIELD,
+  IGNORE_FIELD,
+  parseSheet,
+  suggestMapping,
+  applyMapping,
+  validateMapping,
+  headerSignature,
+  mappingToObject,
+  buildLeadFromRow,
+  validateLeadRow,
+  buildErrorReportWorkbook,
+} = require("../utils/leadImport");
+const {
+  parseMappingParam,
+  resolveImportSettings,
+  buildLeads,
+  createDuplicateState,
+  startImportBatch,
+  importLeads,
+  saveErrorReport,
+  rememberTemplate,
+  findInvalidPhones,
+} = require("../services/leadImportService");
+const PipelineStage = require("../models/PipelineStage");
+const ImportTemplate = require("../models/ImportTemplate");
+const ImportReport = require("../models/ImportReport");
+const CustomFieldDefinition = require("../models/CustomFieldDefinition");
+const Team = require("../models/Team");
+const { applyCustomFields } = require("../utils/customFields");
+const { hasPermission } = require("../utils/permissions");
+const { isMaskedFor, maskExportColumns } = require("../utils/fieldMasking");
+const { phoneSearchPattern } = require("../utils/phone");
+const { BULK_ACTIONS, resolveAssignee, findBulkAction, resolveBulkTargets, runBulkAction } = require("../services/leadBulkService");
 const xlsx = require("xlsx");
 const { validationResult } = require("express-validator");
 
@@ -20,32 +70,15 @@ const uploadLeads = async (req, res) => {
       userId: req.user.id,
     });
 
-    let workbook;
-    let jsonData;
+    let sheet;
 
     try {
       // Try to read the file as Excel/CSV
-      workbook = xlsx.read(req.file.buffer, {
-        type: "buffer",
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-      });
-
-      if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: "No sheets found in the file",
-        });
-      }
-
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      jsonData = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+      sheet = parseSheet(req.file.buffer);
 
       console.log("✅ File processed successfully:", {
-        sheetName,
-        totalRows: jsonData.length,
+        sheetName: sheet.sheetName,
+        totalRows: sheet.dataRows.length + 1,
       });
     } catch (parseError) {
       console.error("❌ File parsing error:", parseError);
@@ -57,170 +90,49 @@ const uploadLeads = async (req, res) => {
       });
     }
 
-    if (jsonData.length < 2) {
+    if (sheet.dataRows.length < 1) {
       return res.status(400).json({
         success: false,
         message: "File must contain at least a header row and one data row",
       });
     }
 
-    // Validate assignedTo if provided
-    if (req.body.assignedTo) {
-      const mongoose = require('mongoose');
-      if (!mongoose.Types.ObjectId.isValid(req.body.assignedTo)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid assignedTo user ID",
-        });
-      }
-    }
-
-    const headers = jsonData[0].map((header) =>
-      header ? header.toString().trim() : ""
-    );
-    const dataRows = jsonData.slice(1);
+    const { headers, dataRows } = sheet;
 
     // 🔍 DEBUG: Log the actual headers from uploaded file
     console.log("📋 UPLOADED FILE HEADERS:", headers);
-    console.log("📋 HEADERS COUNT:", headers.length);
-    headers.forEach((header, index) => {
-      console.log(`  Column ${index}: "${header}" (length: ${header.length})`);
-    });
-    
 
-
-    // Map headers to expected fields with flexible matching
-    const headerMapping = {
-      name: "name",
-      "full name": "name",
-      "first name": "name",
-      "last name": "name",
-      "contact name": "name",
-
-      phone: "phone",
-      "phone number": "phone",
-      mobile: "phone",
-      telephone: "phone",
-
-
-
-      status: "status",
-      "lead status": "status",
-
-      source: "source",
-      "lead source": "source",
-      "source type": "source",
-
-      notes: "notes",
-      note: "notes",
-      comments: "notes",
-      description: "notes",
-      points: "points",
-      "important points": "points",
-      "key points": "points",
-    };
-
-    const columnIndexes = {};
-    headers.forEach((header, index) => {
-      if (!header) return; // Skip empty headers
-
-      const lowerHeader = header.toString().toLowerCase().trim();
-      if (headerMapping[lowerHeader]) {
-        columnIndexes[headerMapping[lowerHeader]] = index;
-      }
-    });
-
-
-    console.log("📋 Header mapping:", {
-      headers: headers,
-      columnIndexes: columnIndexes,
-    });
-
-
-
-    // Validate required columns (allow index 0)
-    if (typeof columnIndexes.name !== "number") {
-      return res.status(400).json({
+    const { settings, error: settingsError } = await resolveImportSettings(req.body, headers, req.user.id);
+    if (settingsError) {
+      return res.status(settingsError.status).json({
         success: false,
-        message: 'File must contain "Name" column',
+        message: settingsError.message,
       });
     }
+    const { template } = settings;
 
-    const leads = [];
-    const errors = [];
-
-    dataRows.forEach((row, index) => {
-      if (!row || row.length === 0) return;
-
-      const lead = {
-        name: columnIndexes.name !== undefined && row[columnIndexes.name] ? row[columnIndexes.name].toString().trim() : "",
-        phone: columnIndexes.phone !== undefined && row[columnIndexes.phone] ? row[columnIndexes.phone].toString().trim() : "",
-        status: columnIndexes.status !== undefined && row[columnIndexes.status] ? row[columnIndexes.status].toString().trim() : "New",
-        source: columnIndexes.source !== undefined && row[columnIndexes.source] ? row[columnIndexes.source].toString().trim() : "Import",
-        notes: columnIndexes.notes !== undefined && row[columnIndexes.notes] ? row[columnIndexes.notes].toString().trim() : "",
-        points: columnIndexes.points !== undefined && row[columnIndexes.points] ? row[columnIndexes.points].toString().trim() : "",
-        assignedTo: req.body.assignedTo || req.user.id,
-        createdBy: req.user.id,
-        additionalFields: {}
-      };
-
-      // Capture all additional columns that aren't in the standard mapping
-      headers.forEach((header, headerIndex) => {
-        if (!header) return; // Skip empty headers
-        
-        const lowerHeader = header.toString().toLowerCase().trim();
-        const isStandardField = headerMapping[lowerHeader];
-        
-        // If this column is not a standard field, store it in additionalFields
-        if (!isStandardField && row[headerIndex] !== undefined && row[headerIndex] !== null) {
-          const value = row[headerIndex].toString().trim();
-          if (value) { // Only store non-empty values
-            lead.additionalFields[header] = value;
-          }
-        }
-      });
-
-      // Log the processed lead data for debugging
-      console.log(`📝 Processed lead ${index + 2}:`, {
-        name: lead.name,
-        phone: lead.phone,
-        status: lead.status,
-        source: lead.source,
-        notes: lead.notes,
-        points: lead.points,
-        additionalFields: lead.additionalFields,
-        columnIndexes: columnIndexes,
-        rowData: row
-      });
-
-      // Validate lead data
-      if (!lead.name || lead.name.length < 2) {
-        errors.push(
-          `Row ${index + 2}: Name is required and must be at least 2 characters`
-        );
-        return;
-      }
+    console.log("📋 Header mapping:", mappingToObject(settings.columns), template ? `(template "${template.name}")` : "");
 
-      // Validate status
-      const validStatuses = [
-        "New",
-        "Qualified",
-        "Negotiation",
-        "Closed",
-        "Lost",
-      ];
-      if (lead.status && !validStatuses.includes(lead.status)) {
-        lead.status = "New";
-      }
+    const { leads, rowNumbers, rowErrors, failedRows } = buildLeads(
+      dataRows.map((row, index) => ({ row, rowNumber: index + 2 })),
+      settings
+    );
 
-      leads.push(lead);
+    const errorReport = await saveErrorReport({
+      fileName: req.file.originalname,
+      sheetName: sheet.sheetName,
+      headers,
+      failedRows,
+      userId: req.user.id,
     });
 
-    if (errors.length > 0) {
+    if (rowErrors.length > 0 && !settings.partial) {
       return res.status(400).json({
         success: false,
         message: "Validation errors found",
-        errors,
+        errors: rowErrors.map((error) => `Row ${error.row}: ${error.reason}`),
+        rowErrors,
+        errorReport,
       });
     }
 
@@ -228,13 +140,69 @@ const uploadLeads = async (req, res) => {
       return res.status(400).json({
         success: false,
         message: "No valid leads found in the file",
+        rowErrors,
+        errorReport,
       });
     }
 
-    // Insert leads
-    const insertedLeads = await Lead.insertMany(leads);
+    // Tag the new leads so the whole upload can be rolled back
+    const batch = await startImportBatch(settings, {
+      fileName: req.file.originalname,
+      failed: failedRows.length,
+    });
+
+    const { insertedLeads, updatedCount, duplicates } = await importLeads(
+      leads,
+      rowNumbers,
+      settings,
+      createDuplicateState()
+    );
 
-    console.log(`✅ Successfully inserted ${insertedLeads.length} leads`);
+    console.log(`✅ Successfully inserted ${insertedLeads.length} leads`, {
+      duplicatePolicy: settings.duplicatePolicy,
+      duplicates: duplicates.length,
+      updated: updatedCount,
+    });
+
+    // Record what was imported in the audit trail
+    res.locals.auditDetails = {
+      fileName: req.file.originalname,
+      count: insertedLeads.length,
+      updatedCount,
+      duplicateCount: duplicates.length,
+      skippedRows: failedRows.length,
+      duplicatePolicy: settings.duplicatePolicy,
+      assignedTo: settings.assignedTo,
+      template: template ? template.name : null,
+      importBatch: batch._id,
+    };
+
+    const skippedCount = duplicates.filter((duplicate) => duplicate.action === "skipped").length;
+    const importMessage =
+      `Successfully imported ${insertedLeads.length} leads` +
+      (updatedCount > 0 ? `, updated ${updatedCount} existing leads` : "") +
+      (skippedCount > 0 ? `, skipped ${skippedCount} duplicates` : "") +
+      (failedRows.length > 0 ? `, skipped ${failedRows.length} invalid rows` : "");
+
+    // Remember this layout and its defaults for the vendor's next sheet
+    const savedTemplate = await rememberTemplate(req.body, settings);
+
+    const importResult = {
+      success: true,
+      message: importMessage,
+      count: insertedLeads.length,
+      updatedCount,
+      importBatch: batch._id,
+      duplicates,
+      invalidPhones: findInvalidPhones(leads, rowNumbers),
+      skippedRows: failedRows.length,
+      rowErrors,
+      errorReport,
+      template: template
+        ? { id: template._id, name: template.name, autoDetected: settings.templateAutoDetected }
+        : null,
+      savedTemplate,
+    };
     
     // Log the first few inserted leads to verify data
     if (insertedLeads.length > 0) {
@@ -266,18 +234,14 @@ const uploadLeads = async (req, res) => {
       );
 
       res.status(201).json({
-        success: true,
-        message: `Successfully imported ${insertedLeads.length} leads`,
-        count: insertedLeads.length,
+        ...importResult,
         leads: populatedLeads,
       });
     } catch (populateError) {
       console.error("❌ Error populating user data:", populateError);
       // Fallback to unpopulated leads if population fails
       res.status(201).json({
-        success: true,
-        message: `Successfully imported ${insertedLeads.length} leads`,
-        count: insertedLeads.length,
+        ...importResult,
         leads: insertedLeads,
       });
     }
@@ -291,52 +255,173 @@ const uploadLeads = async (req, res) => {
   }
 };
 
-// Get all leads (for Leads page - shows ALL leads regardless of status)
-const getAllLeads = async (req, res) => {
+// Download the rows rejected by an import as XLSX with an extra "Error" column
+const downloadImportReport = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
-    const search = req.query.search;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Import report not found",
+      });
+    }
 
-    // Build query - show ALL leads regardless of call status
-    let query = { isActive: true };
+    const report = await ImportReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Import report not found",
+      });
+    }
+
+    const buffer = buildErrorReportWorkbook(report);
+    const baseName = (report.fileName || "import").replace(/\.[^.]+$/, "").replace(/[^\w.-]+/g, "_");
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${baseName}_errors.xlsx`
+    );
+    res.send(buffer);
+  } catch (error) {
+    console.error("Download import report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error downloading import report",
+      error: error.message,
+    });
+  }
+};
 
-    // If user is not admin, only show leads assigned to them or created by them
-    if (req.user.role !== "admin") {
-      query.$or = [{ createdBy: req.user._id }, { assignedTo: req.user._id }];
+// Preview a sheet before importing: detected headers, suggested mapping and parsed sample rows
+const previewLeads = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
     }
 
-    if (status) {
-      query.status = status;
+    let sheet;
+    try {
+      sheet = parseSheet(req.file.buffer);
+    } catch (parseError) {
+      console.error("❌ File parsing error:", parseError);
+      return res.status(400).json({
+        success: false,
+        message:
+          "Unable to read the file. Please ensure it is a valid Excel or CSV file.",
+        error: parseError.message,
+      });
     }
 
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { phone: { $regex: search, $options: "i" } },
-        { notes: { $regex: search, $options: "i" } },
-      ];
+    const { sheetName, headers, dataRows } = sheet;
+    const rowLimit = Math.min(parseInt(req.body.rows || req.query.rows) || 10, 50);
+
+    // Suggest the mapping of a saved template for this layout when there is one
+    const template = await ImportTemplate.findBySignature(headerSignature(headers));
+    let columns = template ? applyMapping(headers, template.mapping) : suggestMapping(headers);
+
+    // Let the admin re-preview with their own mapping before committing
+    if (req.body.mapping) {
+      const mapping = parseMappingParam(req.body.mapping);
+      if (!mapping) {
+        return res.status(400).json({
+          success: false,
+          message: "mapping must be a JSON object of column header to field",
+        });
+      }
+      columns = applyMapping(headers, mapping);
     }
 
-    // If limit is very high (like 1000), don't use pagination to show all data
-    let leadsQuery = Lead.find(query)
-      .populate("createdBy", "name")
-      .populate("assignedTo", "name")
-      .sort({ createdAt: -1 });
+    const stages = await PipelineStage.getStages();
+    const defaultStage =
+      (template && PipelineStage.matchStage(stages, template.defaultStatus)) ||
+      stages.find((stage) => stage.isDefault) ||
+      stages[0];
+    const defaults = { source: template ? template.defaultSource : undefined };
+    const customFields = await CustomFieldDefinition.getDefinitions();
+
+    const sampleRows = dataRows
+      .map((row, index) => ({ row, rowNumber: index + 2 }))
+      .filter(({ row }) => row && row.length > 0)
+      .slice(0, rowLimit)
+      .map(({ row, rowNumber }) => {
+        const lead = buildLeadFromRow(row, columns, defaults);
+        const stage = PipelineStage.matchStage(stages, lead.status);
+        lead.status = stage ? stage.name : defaultStage.name;
+
+        // Show typed custom field values and the problems the import would report
+        const typed = applyCustomFields(lead.additionalFields, customFields);
+        lead.additionalFields = typed.values;
+        const issues = [
+          ...validateLeadRow(lead, columns),
+          ...typed.errors.map(({ key, value, reason }) => ({ column: key, value, reason })),
+        ];
+        return { rowNumber, values: row, lead, issues };
+      });
 
-    if (limit < 1000) {
-      const skip = (page - 1) * limit;
-      leadsQuery = leadsQuery.skip(skip).limit(limit);
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      sheetName,
+      totalRows: dataRows.filter((row) => row && row.length > 0).length,
+      headers,
+      columns,
+      mapping: mappingToObject(columns),
+      mappingError: validateMapping(columns),
+      template: template
+        ? {
+            id: template._id,
+            name: template.name,
+            defaultStatus: template.defaultStatus,
+            defaultSource: template.defaultSource,
+            defaultAssignee: template.defaultAssignee,
+          }
+        : null,
+      availableFields: [...LEAD_FIELDS, ADDITIONAL_FIELD, IGNORE_FIELD],
+      sampleRows,
+    });
+  } catch (error) {
+    console.error("Preview leads error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error previewing file",
+      error: error.message,
+    });
+  }
+};
+
+// Get all leads (for Leads page - shows ALL leads regardless of status)
+const getAllLeads = async (req, res) => {
+  try {
+    const status = req.query.status;
+
+    // Build query - show ALL leads regardless of call status, narrowed by the list filters
+    const customFields = await CustomFieldDefinition.getDefinitions();
+    const { filter: query, error: filterError } = buildLeadFilter(req.query, req.user, customFields);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
     }
 
-    const leads = await leadsQuery;
-    const total = await Lead.countDocuments(query);
+    const { leads, pagination, error: pageError } = await findLeadPage(query, req.query);
+    if (pageError) {
+      return res.status(400).json({
+        success: false,
+        message: pageError,
+      });
+    }
 
     console.log(
-      `All leads fetched: ${leads.length} leads, total: ${total}, filter: ${
+      `All leads fetched: ${leads.length} leads, total: ${pagination.total}, filter: ${
         status || "all"
-      }${limit >= 1000 ? ' (ALL LEADS - No pagination)' : ''}`
+      }`
     );
     console.log(
       "Sample leads:",
@@ -355,12 +440,7 @@ const getAllLeads = async (req, res) => {
     res.json({
       success: true,
       leads,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      pagination,
     });
   } catch (error) {
     console.error("Get all leads error:", error);
@@ -372,23 +452,132 @@ const getAllLeads = async (req, res) => {
   }
 };
 
+// Important point matches count for less than matches on the lead itself
+const POINT_SCORE_WEIGHT = 0.5;
+
+// Full-text search across leads and their important points, ranked by relevance
+const searchLeads = async (req, res) => {
+  try {
+    const q = (req.query.q || "").toString().trim();
+    if (q.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query must be at least 2 characters",
+      });
+    }
+    // Phone numbers are in the text index, so matches would reveal numbers the user only
+    // sees masked
+    if (isMaskedFor(req.user, "phone") && phoneSearchPattern(q)) {
+      return res.status(400).json({
+        success: false,
+        message: "Searching by phone number is not available for your role",
+      });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    // Same visibility as the lead lists
+    const { filter: visibility } = buildLeadFilter({}, req.user);
+
+    const leadMatches = await Lead.find(
+      { ...visibility, $text: { $search: q } },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(limit)
+      .populate("createdBy", "name")
+      .populate("assignedTo", "name")
+      .lean();
+
+    // Users who cannot see every lead only search the points of leads they can see,
+    // so points on other leads do not take up the limit
+    const pointFilter = { isActive: true, $text: { $search: q } };
+    if (visibilityCondition(req.user)) {
+      pointFilter.leadId = { $in: await Lead.distinct("_id", visibility) };
+    }
+
+    const pointMatches = await ImportantPoint.find(
+      pointFilter,
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(limit * 5)
+      .lean();
+
+    const pointsByLead = new Map();
+    pointMatches.forEach((point) => {
+      const leadId = point.leadId.toString();
+      if (!pointsByLead.has(leadId)) pointsByLead.set(leadId, []);
+      pointsByLead.get(leadId).push(point);
+    });
+
+    // Leads found only through their important points, if the user may see them
+    const matchedIds = new Set(leadMatches.map((lead) => lead._id.toString()));
+    const pointOnlyIds = [...pointsByLead.keys()].filter((id) => !matchedIds.has(id));
+    const pointLeads = pointOnlyIds.length > 0
+      ? await Lead.find({ ...visibility, _id: { $in: pointOnlyIds } })
+          .populate("createdBy", "name")
+          .populate("assignedTo", "name")
+          .lean()
+      : [];
+
+    const terms = searchTerms(q);
+    const results = [...leadMatches, ...pointLeads]
+      .map((lead) => {
+        const { score: leadScore = 0, ...leadFields } = lead;
+        const points = pointsByLead.get(lead._id.toString()) || [];
+        const pointScore = points.reduce((best, point) => Math.max(best, point.score), 0);
+
+        return {
+          lead: leadFields,
+          score: leadScore + pointScore * POINT_SCORE_WEIGHT,
+          matchedPoints: points.map((point) => ({
+            _id: point._id,
+            content: point.content,
+            createdAt: point.createdAt,
+          })),
+          highlights: buildHighlights(lead, points, terms),
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      query: q,
+      results,
+    });
+  } catch (error) {
+    console.error("Search leads error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error searching leads",
+      error: error.message,
+    });
+  }
+};
+
 // Get leads (for Call page - shows both active and completed calls)
 const getLeads = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
     const status = req.query.status;
-    const search = req.query.search;
 
-    // Build query based on user role
+    // Build query from the list filters (visibility by role, status, search, structured filter)
+    const customFields = await CustomFieldDefinition.getDefinitions();
+    const { filter: query, error: filterError } = buildLeadFilter(req.query, req.user, customFields);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
     // Show leads that are active (including completed calls)
     // Only exclude leads that are currently scheduled or marked as not connected
     // Note: If a lead is marked as not connected, it gets automatically scheduled for follow-up
-    let query = { isActive: true };
-    
     // Exclude leads that are currently scheduled or marked as not connected
     // But include completed calls even if they were previously scheduled/not connected
     query.$and = [
+      ...(query.$and || []),
       { $or: [
         { scheduledAt: null },
         { callCompleted: true }  // Include completed calls even if they were scheduled
@@ -399,49 +588,18 @@ const getLeads = async (req, res) => {
       ]}
     ];
 
-    console.log('Initial query filters:', JSON.stringify(query, null, 2));
-
-    // If user is not admin, only show leads assigned to them or created by them
-    if (req.user.role !== "admin") {
-      query.$or = [{ createdBy: req.user._id }, { assignedTo: req.user._id }];
-    }
-
-    if (status) {
-      query.status = status;
-    }
-
-    if (search) {
-      // Create a separate search condition that respects the main filters
-      const searchCondition = {
-        $or: [
-          { name: { $regex: search, $options: "i" } },
-          { phone: { $regex: search, $options: "i" } },
-          { notes: { $regex: search, $options: "i" } },
-        ]
-      };
-      
-      // Combine search with existing filters
-      query = { ...query, ...searchCondition };
-    }
-
-    // If limit is very high (like 1000), don't use pagination to show all data
-    let leadsQuery = Lead.find(query)
-      .populate("createdBy", "name")
-      .populate("assignedTo", "name")
-      .sort({ createdAt: -1 });
-
-    if (limit < 1000) {
-      const skip = (page - 1) * limit;
-      leadsQuery = leadsQuery.skip(skip).limit(limit);
+    const { leads, pagination, error: pageError } = await findLeadPage(query, req.query);
+    if (pageError) {
+      return res.status(400).json({
+        success: false,
+        message: pageError,
+      });
     }
 
-    const leads = await leadsQuery;
-    const total = await Lead.countDocuments(query);
-
     console.log(
-      `Leads fetched: ${leads.length} leads (including completed calls), total: ${total}, filter: ${
+      `Leads fetched: ${leads.length} leads (including completed calls), total: ${pagination.total}, filter: ${
         status || "all"
-      }${limit >= 1000 ? ' (ALL LEADS - No pagination)' : ''}`
+      }`
     );
     console.log('Query filters:', JSON.stringify(query, null, 2));
     console.log('Sample leads with status:', leads.slice(0, 3).map(lead => ({
@@ -470,12 +628,7 @@ const getLeads = async (req, res) => {
     res.json({
       success: true,
       leads,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      pagination,
     });
   } catch (error) {
     console.error("Get leads error:", error);
@@ -487,6 +640,53 @@ const getLeads = async (req, res) => {
   }
 };
 
+// Per-team rollups of the leads matching a stats condition: totals by stage and per member,
+// counted by assignee. Users who see every lead get every team, team leads the teams they lead.
+const buildTeamRollups = async (matchCondition, user, pipelineStages) => {
+  const teams = await Team.find(hasPermission(user, "leads.viewAll") ? {} : { lead: user._id })
+    .populate("lead", "name")
+    .populate("members", "name")
+    .sort({ name: 1 });
+  if (teams.length === 0) return [];
+
+  // The lead and the members of each team, once each (deleted users are left out)
+  const teamPeople = (team) =>
+    [team.lead, ...team.members]
+      .filter(Boolean)
+      .filter((person, index, people) => people.findIndex((p) => p._id.equals(person._id)) === index);
+
+  const userIds = teams.flatMap((team) => teamPeople(team).map((person) => person._id));
+  const counts = await Lead.aggregate([
+    { $match: { $and: [matchCondition, { assignedTo: { $in: userIds } }] } },
+    { $group: { _id: { assignedTo: "$assignedTo", status: "$status" }, count: { $sum: 1 } } },
+  ]);
+
+  return teams.map((team) => {
+    const stages = pipelineStages.map((stage) => ({ name: stage.name, count: 0 }));
+
+    const members = teamPeople(team).map((person) => {
+      let total = 0;
+      counts
+        .filter((count) => person._id.equals(count._id.assignedTo))
+        .forEach((count) => {
+          total += count.count;
+          const stage = PipelineStage.matchStage(pipelineStages, count._id.status);
+          if (stage) stages.find((s) => s.name === stage.name).count += count.count;
+        });
+      return { user: { _id: person._id, name: person.name }, total };
+    });
+
+    return {
+      _id: team._id,
+      name: team.name,
+      lead: team.lead,
+      total: members.reduce((sum, member) => sum + member.total, 0),
+      stages,
+      members,
+    };
+  });
+};
+
 // Get lead statistics (including completed calls)
 const getLeadStats = async (req, res) => {
   try {
@@ -508,12 +708,10 @@ const getLeadStats = async (req, res) => {
       ]}
     ];
 
-    // If user is not admin, only show stats for leads assigned to them or created by them
-    if (req.user.role !== "admin") {
-      matchCondition.$or = [
-        { createdBy: req.user._id },
-        { assignedTo: req.user._id },
-      ];
+    // Unless the user can see every lead, only show stats for the leads they can see
+    const visibility = visibilityCondition(req.user);
+    if (visibility) {
+      matchCondition.$and.push(visibility);
     }
 
     const stats = await Lead.aggregate([
@@ -527,25 +725,36 @@ const getLeadStats = async (req, res) => {
     ]);
 
     const totalLeads = await Lead.countDocuments(matchCondition);
-
-    const statsMap = {
-      total: totalLeads,
-      new: 0,
-      qualified: 0,
-      negotiation: 0,
-      closed: 0,
-      lost: 0,
-    };
+    const pipelineStages = await PipelineStage.getStages();
+
+    // Counts keyed by lowercased stage name (new, qualified, ...) in byStage, plus an
+    // ordered per-stage breakdown
+    const byStage = {};
+    const stageStats = pipelineStages.map((stage) => ({
+      name: stage.name,
+      color: stage.color,
+      order: stage.order,
+      isWon: stage.isWon,
+      isLost: stage.isLost,
+      count: 0,
+    }));
+    pipelineStages.forEach((stage) => {
+      byStage[stage.name.toLowerCase()] = 0;
+    });
 
     stats.forEach((stat) => {
-      if (stat._id) {
-        const statusKey = stat._id.toLowerCase();
-        if (statsMap.hasOwnProperty(statusKey)) {
-          statsMap[statusKey] = stat.count;
-        }
+      // Leads still carrying an old stage name are counted under the stage it maps to
+      const stage = PipelineStage.matchStage(pipelineStages, stat._id);
+      if (stage) {
+        byStage[stage.name.toLowerCase()] += stat.count;
+        stageStats.find((s) => s.name === stage.name).count += stat.count;
       }
     });
 
+    // The counts are also kept at the top level for existing clients, except for stage
+    // names that would overwrite the other keys
+    const statsMap = { ...byStage, total: totalLeads, stages: stageStats, byStage };
+
     console.log(
       "Lead stats for user:",
       req.user._id,
@@ -564,6 +773,7 @@ const getLeadStats = async (req, res) => {
     res.json({
       success: true,
       stats: statsMap,
+      teams: await buildTeamRollups(matchCondition, req.user, pipelineStages),
     });
   } catch (error) {
     console.error("Get lead stats error:", error);
@@ -603,6 +813,42 @@ const getLead = async (req, res) => {
   }
 };
 
+// Get the full phone number of a lead, even when the user's role sees it masked.
+// Every reveal is written to the audit log with the user and time.
+const revealPhone = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id).select("phone phoneNormalized");
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const revealedAt = new Date();
+    res.locals.auditDetails = {
+      field: "phone",
+      revealedBy: req.user._id,
+      revealedAt,
+    };
+
+    res.json({
+      success: true,
+      phone: lead.phone,
+      phoneNormalized: lead.phoneNormalized,
+      revealedAt,
+    });
+  } catch (error) {
+    console.error("Reveal phone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revealing phone number",
+      error: error.message,
+    });
+  }
+};
+
 // Update lead
 const updateLead = async (req, res) => {
   try {
@@ -615,17 +861,83 @@ const updateLead = async (req, res) => {
       });
     }
 
-    const lead = await Lead.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
+    // History, derived phone fields and the assigning rule are maintained by the server, never taken from the request body
+    const { statusHistory, phoneNormalized, phoneValid, assignmentRule, ...updates } = req.body;
+
+    // Reassigning needs the same permission and team limit as bulk reassign, and replaces
+    // whatever an assignment rule picked
+    if (updates.assignedTo !== undefined) {
+      if (!hasPermission(req.user, "leads.assign")) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to assign leads",
+        });
+      }
+      const { assignedTo, error: assigneeError } = await resolveAssignee(updates.assignedTo, req.user);
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          message: assigneeError,
+        });
+      }
+      updates.assignedTo = assignedTo;
+      updates.assignmentRule = null;
+    }
+
+    const existingLead = await Lead.findById(req.params.id).select("status");
+    if (!existingLead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    // Validate and type additional fields against the custom field definitions
+    if (updates.additionalFields !== undefined) {
+      if (!updates.additionalFields || typeof updates.additionalFields !== "object" || Array.isArray(updates.additionalFields)) {
+        return res.status(400).json({
+          success: false,
+          message: "additionalFields must be an object",
+        });
+      }
+
+      const typed = applyCustomFields(updates.additionalFields, await CustomFieldDefinition.getDefinitions());
+      if (typed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: typed.errors.map((error) => ({ path: `additionalFields.${error.key}`, msg: error.reason, value: error.value })),
+        });
+      }
+      updates.additionalFields = typed.values;
+    }
+
+    // Store the canonical stage name even if an alias or different casing was sent
+    if (updates.status) {
+      updates.status = await PipelineStage.resolveStatus(updates.status);
+      if (updates.status !== existingLead.status) {
+        updates.$push = {
+          statusHistory: Lead.buildStatusTransition(existingLead.status, updates.status, req.user._id, updates.reason),
+        };
+      }
+    }
+    delete updates.reason;
+
+    const lead = await Lead.findOneAndUpdate(
+      { _id: req.params.id, status: existingLead.status },
+      updates,
+      {
+        new: true,
+        runValidators: true,
+      }
+    )
       .populate("createdBy", "name")
       .populate("assignedTo", "name");
 
     if (!lead) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: "Lead not found",
+        message: "Lead status was changed by someone else. Please refresh and try again.",
       });
     }
 
@@ -647,24 +959,39 @@ const updateLead = async (req, res) => {
 // Update lead status
 const updateLeadStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-
-    // Validate status
-    const validStatuses = ["New", "Qualified", "Negotiation", "Closed", "Lost"];
-    if (!validStatuses.includes(status)) {
+    // Validate status against the configured pipeline stages
+    const stages = await PipelineStage.getStages();
+    const stage = PipelineStage.matchStage(stages, req.body.status);
+    if (!stage) {
       return res.status(400).json({
         success: false,
-        message: "Invalid status. Must be one of: " + validStatuses.join(", "),
+        message: "Invalid status. Must be one of: " + stages.map((s) => s.name).join(", "),
       });
     }
+    const status = stage.name;
 
-    // Use findOneAndUpdate with optimistic locking to prevent race conditions
+    const existingLead = await Lead.findOne({ _id: req.params.id, isActive: true }).select("status");
+    if (!existingLead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const update = {
+      status,
+      updatedAt: new Date(), // Ensure timestamp is updated
+    };
+    if (existingLead.status !== status) {
+      update.$push = {
+        statusHistory: Lead.buildStatusTransition(existingLead.status, status, req.user._id, req.body.reason),
+      };
+    }
+
+    // Only apply the update if the status is still the one the transition was recorded from
     const lead = await Lead.findOneAndUpdate(
-      { _id: req.params.id, isActive: true },
-      {
-        status,
-        updatedAt: new Date(), // Ensure timestamp is updated
-      },
+      { _id: req.params.id, isActive: true, status: existingLead.status },
+      update,
       {
         new: true,
         runValidators: true,
@@ -676,9 +1003,9 @@ const updateLeadStatus = async (req, res) => {
       .populate("assignedTo", "name");
 
     if (!lead) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: "Lead not found",
+        message: "Lead status was changed by someone else. Please refresh and try again.",
       });
     }
 
@@ -704,6 +1031,39 @@ const updateLeadStatus = async (req, res) => {
   }
 };
 
+// Get a lead's status transitions and how long it spent in each stage
+const getLeadStatusHistory = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .select("name status statusHistory createdAt")
+      .populate("statusHistory.changedBy", "name");
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const history = [...lead.statusHistory].sort((a, b) => b.changedAt - a.changedAt);
+
+    res.json({
+      success: true,
+      leadId: lead._id,
+      currentStatus: lead.status,
+      history,
+      stageDurations: lead.getStageDurations(),
+    });
+  } catch (error) {
+    console.error("Get lead status history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching lead status history",
+      error: error.message,
+    });
+  }
+};
+
 // Update lead points
 const updateLeadPoints = async (req, res) => {
   try {
@@ -789,57 +1149,433 @@ const deleteLead = async (req, res) => {
   }
 };
 
-// Export leads
-const exportLeads = async (req, res) => {
+// Join the non-empty, distinct text values of several leads
+const joinText = (values) => [...new Set(values.map((v) => (v || "").trim()).filter(Boolean))].join("\n\n");
+
+// Whether two additionalFields values are the same; compared by their JSON form so equal
+// dates, arrays and objects do not count as conflicts
+const sameFieldValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Whether the database supports transactions (a replica set or sharded cluster);
+// checked on the first merge
+let transactionsSupported;
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === "isdbgrid");
+  }
+  return transactionsSupported;
+};
+
+// Write a merge: the merged primary, the important points moved to it and the deactivated
+// secondaries. All or nothing, so a failure cannot leave points on a lead that was not
+// saved or secondaries that are still active. Returns the number of moved points.
+const saveMerge = async (primary, secondaryIds) => {
+  if (await supportsTransactions()) {
+    let moved;
+    await mongoose.connection.transaction(async (session) => {
+      await primary.save({ session });
+
+      moved = await ImportantPoint.updateMany(
+        { leadId: { $in: secondaryIds } },
+        { $set: { leadId: primary._id } },
+        { session }
+      );
+
+      await Lead.updateMany(
+        { _id: { $in: secondaryIds } },
+        { $set: { isActive: false, mergedInto: primary._id } },
+        { session }
+      );
+    });
+    return moved.modifiedCount;
+  }
+
+  // A standalone server has no transactions: write in order and undo the earlier writes
+  // when a later one fails
+  const points = await ImportantPoint.find({ leadId: { $in: secondaryIds } }).select("_id leadId").lean();
+  await Lead.updateMany(
+    { _id: { $in: secondaryIds } },
+    { $set: { isActive: false, mergedInto: primary._id } }
+  );
+
   try {
-    // Export ALL leads regardless of call status
-    const leads = await Lead.find({ isActive: true })
-      .populate("createdBy", "name")
-      .populate("assignedTo", "name")
-      .sort({ createdAt: -1 });
+    await ImportantPoint.updateMany(
+      { _id: { $in: points.map((point) => point._id) } },
+      { $set: { leadId: primary._id } }
+    );
+    await primary.save();
+  } catch (error) {
+    for (const id of secondaryIds) {
+      const pointIds = points.filter((point) => String(point.leadId) === String(id)).map((point) => point._id);
+      if (pointIds.length > 0) {
+        await ImportantPoint.updateMany({ _id: { $in: pointIds } }, { $set: { leadId: id } });
+      }
+    }
+    await Lead.updateMany(
+      { _id: { $in: secondaryIds } },
+      { $set: { isActive: true, mergedInto: null } }
+    );
+    throw error;
+  }
+
+  return points.length;
+};
+
+// Merge one or more secondary leads into a primary lead
+const mergeLeads = async (req, res) => {
+  try {
+    const { primaryId, secondaryIds, fieldResolution = {} } = req.body;
+
+    if (!primaryId || !Array.isArray(secondaryIds) || secondaryIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "primaryId and a non-empty secondaryIds array are required",
+      });
+    }
+
+    const ids = [primaryId, ...secondaryIds].map(String);
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid lead ID",
+      });
+    }
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: "A lead cannot be merged with itself or listed twice",
+      });
+    }
+
+    const leads = await Lead.find({ _id: { $in: ids }, isActive: true });
+    if (leads.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more leads were not found or are inactive",
+      });
+    }
+    if (!leads.every((lead) => canSeeLead(req.user, lead))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to one or more of these leads",
+      });
+    }
+
+    const primary = leads.find((lead) => lead._id.toString() === String(primaryId));
+    const secondaries = secondaryIds.map((id) => leads.find((lead) => lead._id.toString() === String(id)));
+    const allLeads = [primary, ...secondaries];
+
+    // Union additionalFields; conflicting keys keep the primary's value unless fieldResolution picks a lead
+    const additionalFields = {};
+    const conflicts = [];
+    allLeads.forEach((lead) => {
+      Object.entries(lead.additionalFields || {}).forEach(([key, value]) => {
+        if (!(key in additionalFields)) {
+          additionalFields[key] = value;
+        } else if (!sameFieldValue(additionalFields[key], value) && !conflicts.includes(key)) {
+          conflicts.push(key);
+        }
+      });
+    });
 
-    const workbook = xlsx.utils.book_new();
-    const worksheetData = leads.map((lead) => {
-      const baseData = {
-        Name: lead.name,
-        Phone: lead.phone,
-        Status: lead.status,
-        Notes: lead.notes,
-        "Important Points": lead.points || "",
-        "Uploaded By": lead.createdBy ? lead.createdBy.name : "Unknown",
-        "Assigned To": lead.assignedTo ? lead.assignedTo.name : "",
-        "Created Date": lead.createdAt.toISOString().split("T")[0],
-        "Last Updated": lead.updatedAt.toISOString().split("T")[0],
+    const resolvedConflicts = conflicts.map((key) => {
+      const chosenId = fieldResolution[key];
+      const chosenLead = chosenId && allLeads.find((lead) => lead._id.toString() === String(chosenId));
+      const source = chosenLead && chosenLead.additionalFields && key in chosenLead.additionalFields
+        ? chosenLead
+        : allLeads.find((lead) => lead.additionalFields && key in lead.additionalFields);
+
+      additionalFields[key] = source.additionalFields[key];
+      return {
+        key,
+        values: allLeads
+          .filter((lead) => lead.additionalFields && key in lead.additionalFields)
+          .map((lead) => ({ leadId: lead._id, value: lead.additionalFields[key] })),
+        chosenLeadId: source._id,
       };
+    });
 
-      // Add all additional fields to the export
-      if (lead.additionalFields && typeof lead.additionalFields === 'object') {
-        Object.keys(lead.additionalFields).forEach(key => {
-          baseData[key] = lead.additionalFields[key];
-        });
-      }
+    primary.additionalFields = additionalFields;
+    primary.markModified("additionalFields");
+
+    primary.callHistory = allLeads
+      .flatMap((lead) => lead.callHistory.map((entry) => entry.toObject()))
+      .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+    primary.notes = joinText(allLeads.map((lead) => lead.notes));
+    primary.points = joinText(allLeads.map((lead) => lead.points));
+
+    if (!primary.phone) {
+      const withPhone = secondaries.find((lead) => lead.phone);
+      if (withPhone) primary.phone = withPhone.phone;
+    }
+
+    const lastContacted = allLeads
+      .map((lead) => lead.lastContacted)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+    if (lastContacted) primary.lastContacted = lastContacted;
+
+    const movedPoints = await saveMerge(primary, secondaryIds);
+
+    console.log(`🔗 Merged ${secondaryIds.length} leads into ${primary._id} by user ${req.user.id}`);
+
+    // Record the merged leads in the audit trail
+    res.locals.auditDetails = {
+      secondaryIds,
+      movedImportantPoints: movedPoints,
+      conflicts: resolvedConflicts,
+    };
+
+    const lead = await Lead.findById(primary._id)
+      .populate("createdBy", "name")
+      .populate("assignedTo", "name");
 
-      return baseData;
+    res.json({
+      success: true,
+      message: `Merged ${secondaryIds.length} leads successfully`,
+      lead,
+      mergedLeadIds: secondaryIds,
+      movedImportantPoints: movedPoints.modifiedCount,
+      conflicts: resolvedConflicts,
+    });
+  } catch (error) {
+    console.error("Merge leads error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error merging leads",
+      error: error.message,
     });
+  }
+};
+
+// Apply one action (reassign, status, deactivate, restore, tag, schedule) to many leads,
+// chosen by "ids" or by list "filters", and report the outcome per lead
+const bulkUpdateLeads = async (req, res) => {
+  try {
+    const action = findBulkAction(req.params.action);
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid bulk action. Must be one of: " + Object.keys(BULK_ACTIONS).join(", "),
+      });
+    }
+    if (action.allowed && !action.allowed(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to run this bulk action",
+      });
+    }
 
-    const worksheet = xlsx.utils.json_to_sheet(worksheetData);
-    xlsx.utils.book_append_sheet(workbook, worksheet, "Leads");
+    const { params, error: paramsError } = await action.prepare(req.body, req.user);
+    if (paramsError) {
+      return res.status(400).json({
+        success: false,
+        message: paramsError,
+      });
+    }
 
-    const buffer = xlsx.write(workbook, { type: "buffer", bookType: "xlsx" });
+    const customFields = await CustomFieldDefinition.getDefinitions();
+    const targets = await resolveBulkTargets(req.body, action, req.user, customFields);
+    if (targets.error) {
+      return res.status(400).json({
+        success: false,
+        message: targets.error,
+      });
+    }
 
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-    );
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename=leads_export_${
-        new Date().toISOString().split("T")[0]
-      }.xlsx`
+    const { summary, results } = await runBulkAction(action, params, targets, req.user);
+
+    res.locals.auditDetails = {
+      action: req.params.action,
+      params,
+      ...summary,
+      changedIds: results.filter((result) => result.changed).map((result) => result.id),
+    };
+
+    res.json({
+      success: true,
+      message: `${summary.changed} of ${summary.requested} leads changed`,
+      summary,
+      results,
+    });
+  } catch (error) {
+    console.error("Bulk update leads error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating leads",
+      error: error.message,
+    });
+  }
+};
+
+// Suggest clusters of active leads that are likely duplicates of each other
+const getDuplicateSuggestions = async (req, res) => {
+  try {
+    const matchBy = req.query.matchBy === "name+phone" ? "name+phone" : "phone";
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    // Same key as upload duplicate detection: E.164 phone (or its digits), optionally with the lowercased name
+    const phoneKey = {
+      $ifNull: [
+        "$phoneNormalized",
+        {
+          $reduce: {
+            input: { $regexFindAll: { input: "$phone", regex: "[0-9]" } },
+            initialValue: "",
+            in: { $concat: ["$$value", "$$this.match"] },
+          },
+        },
+      ],
+    };
+    const key = matchBy === "name+phone"
+      ? { $concat: [{ $toLower: { $trim: { input: "$name" } } }, "|", phoneKey] }
+      : phoneKey;
+
+    const clusters = await Lead.aggregate([
+      // Only leads the user can see, like the lead lists
+      { $match: { ...visibilityCondition(req.user), isActive: true, phone: { $nin: ["", null] } } },
+      { $addFields: { duplicateKey: key } },
+      { $match: { duplicateKey: { $nin: ["", "|"] } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: "$duplicateKey",
+          count: { $sum: 1 },
+          leads: {
+            $push: {
+              _id: "$_id",
+              name: "$name",
+              phone: "$phone",
+              status: "$status",
+              assignedTo: "$assignedTo",
+              callCount: { $size: { $ifNull: ["$callHistory", []] } },
+              createdAt: "$createdAt",
+            },
+          },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+
+    res.json({
+      success: true,
+      matchBy,
+      clusters: clusters.map((cluster) => ({
+        key: cluster._id,
+        count: cluster.count,
+        // The oldest lead is suggested as the merge primary
+        suggestedPrimaryId: cluster.leads[0]._id,
+        leads: cluster.leads,
+      })),
+    });
+  } catch (error) {
+    console.error("Get duplicate suggestions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error finding duplicate leads",
+      error: error.message,
+    });
+  }
+};
+
+// Export leads matching the list filters, with a chosen set of columns
+const exportLeads = async (req, res) => {
+  try {
+    const format = (req.query.format || "xlsx").toLowerCase();
+    const exportFormat = Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    if (!exportFormat) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Must be one of: " + Object.keys(EXPORT_FORMATS).join(", "),
+      });
+    }
+
+    const customFields = await CustomFieldDefinition.getDefinitions();
+    const { columns, allAdditionalFields, error: columnsError } = parseExportColumns(req.query.columns, customFields);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError,
+      });
+    }
+
+    // Users who cannot see every lead can only export the leads assigned to them
+    const params = { ...req.query };
+    if (!hasPermission(req.user, "leads.viewAll")) {
+      params.assignedTo = req.user._id;
+    }
+
+    const { filter, error: filterError } = buildLeadFilter(params, req.user, customFields);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const fileName = `leads_export_${new Date().toISOString().split("T")[0]}.${exportFormat.extension}`;
+
+    // CSV and JSON are streamed from a cursor so any number of leads can be exported
+    if (STREAMING_FORMATS.includes(format)) {
+      const exportColumns = maskExportColumns(allAdditionalFields
+        ? [...columns, ...additionalColumnsForKeys(await Lead.getAdditionalFieldKeys(filter), customFields)]
+        : columns, req.user);
+
+      const cursor = Lead.find(filter)
+        .populate("createdBy", "name")
+        .populate("assignedTo", "name")
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor({ batchSize: 500 });
+
+      res.setHeader("Content-Type", exportFormat.contentType);
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
+      res.setHeader("Cache-Control", "no-cache");
+
+      try {
+        const count = await streamExport(cursor, exportColumns, format, res);
+        console.log(`✅ Streamed ${count} leads as ${format}`);
+      } catch (streamError) {
+        // Headers are already sent; abort so the client sees an incomplete download
+        console.error("Export stream error:", streamError);
+        res.destroy(streamError);
+      } finally {
+        await cursor.close();
+      }
+      return;
+    }
+
+    // XLSX is built in memory, so large exports are refused instead of exhausting it
+    const total = await Lead.countDocuments(filter);
+    if (total > MAX_XLSX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many leads for an Excel export (${total}, at most ${MAX_XLSX_ROWS}). Use format=csv or narrow the filters.`,
+      });
+    }
+
+    const leads = await Lead.find(filter)
+      .populate("createdBy", "name")
+      .populate("assignedTo", "name")
+      .sort({ createdAt: -1 });
+
+    const exportColumns = maskExportColumns(
+      allAdditionalFields ? [...columns, ...additionalColumnsFor(leads, customFields)] : columns,
+      req.user
     );
+    const buffer = buildExportFile(leads, exportColumns, format);
+
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
     res.send(buffer);
   } catch (error) {
     console.error("Export leads error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({
       success: false,
       message: "Error exporting leads",
@@ -1101,7 +1837,8 @@ const completeCall = async (req, res) => {
 // Debug: Check for not connected leads
 const debugNotConnected = async (req, res) => {
   try {
-    const notConnectedLeads = await Lead.find({ notConnectedAt: { $ne: null } });
+    // Same visibility as the lead lists; the response is masked by the route's middleware
+    const notConnectedLeads = await Lead.find({ ...visibilityCondition(req.user), notConnectedAt: { $ne: null } });
     console.log('Debug: Found not connected leads:', notConnectedLeads.length);
     notConnectedLeads.forEach(lead => {
       console.log('Not connected lead:', {
@@ -1177,9 +1914,10 @@ const getNotConnectedCalls = async (req, res) => {
     // Build query based on user role
     let query = { isActive: true, notConnectedAt: { $ne: null } };
 
-    // If user is not admin, only show leads assigned to them or created by them
-    if (req.user.role !== "admin") {
-      query.$or = [{ createdBy: req.user._id }, { assignedTo: req.user._id }];
+    // Only show the leads the user can see (their own, or their team's for team leads)
+    const visibility = visibilityCondition(req.user);
+    if (visibility) {
+      query.$and = [visibility];
     }
 
     const notConnectedLeads = await Lead.find(query)
@@ -1210,9 +1948,10 @@ const getScheduledCalls = async (req, res) => {
     // Show leads that are scheduled (including auto-scheduled follow-ups from not connected)
     let query = { isActive: true, scheduledAt: { $ne: null } };
 
-    // If user is not admin, only show leads assigned to them or created by them
-    if (req.user.role !== "admin") {
-      query.$or = [{ createdBy: req.user._id }, { assignedTo: req.user._id }];
+    // Only show the leads the user can see (their own, or their team's for team leads)
+    const visibility = visibilityCondition(req.user);
+    if (visibility) {
+      query.$and = [visibility];
     }
 
     const scheduledLeads = await Lead.find(query)
@@ -1245,9 +1984,10 @@ const getCompletedCalls = async (req, res) => {
     // Build query based on user role
     let query = { isActive: true, callCompleted: true };
 
-    // If user is not admin, only show leads assigned to them or created by them
-    if (req.user.role !== "admin") {
-      query.$or = [{ createdBy: req.user._id }, { assignedTo: req.user._id }];
+    // Only show the leads the user can see (their own, or their team's for team leads)
+    const visibility = visibilityCondition(req.user);
+    if (visibility) {
+      query.$and = [visibility];
     }
 
     const completedLeads = await Lead.find(query)
@@ -1274,14 +2014,22 @@ const getCompletedCalls = async (req, res) => {
 
 module.exports = {
   uploadLeads,
+  previewLeads,
+  downloadImportReport,
   getAllLeads,
+  searchLeads,
   getLeads,
   getLeadStats,
   getLead,
+  revealPhone,
   updateLead,
   updateLeadStatus,
+  getLeadStatusHistory,
   updateLeadPoints,
   deleteLead,
+  mergeLeads,
+  bulkUpdateLeads,
+  getDuplicateSuggestions,
   softDeleteLead,
   exportLeads,
   restoreLead,
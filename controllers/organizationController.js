@@ -0,0 +1,159 @@
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { validationResult } = require("express-validator");
+const { runWithTenant } = require("../utils/tenantScope");
+
+// Get every organization with its number of users
+const getOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({}).sort({ createdAt: 1 });
+
+    // Users of every organization, not just the caller's
+    const userCounts = await runWithTenant(null, () =>
+      User.aggregate([{ $group: { _id: "$organizationId", count: { $sum: 1 } } }])
+    );
+    const countByOrganization = new Map(userCounts.map((row) => [String(row._id), row.count]));
+
+    res.json({
+      success: true,
+      organizations: organizations.map((organization) => ({
+        ...organization.toJSON(),
+        userCount: countByOrganization.get(String(organization._id)) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching organizations",
+      error: error.message,
+    });
+  }
+};
+
+// Provision an organization together with its first user, who gets the orgAdmin role.
+// Roles and pipeline stages are seeded when the organization first uses them.
+const createOrganization = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, slug, admin } = req.body;
+
+    if (await Organization.exists({ slug })) {
+      return res.status(400).json({
+        success: false,
+        message: `An organization with the slug "${slug}" already exists`,
+      });
+    }
+
+    // Emails are unique across organizations
+    if (await runWithTenant(null, () => User.findByEmail(admin.email))) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists with this email",
+      });
+    }
+
+    const organization = await Organization.create({
+      name,
+      slug,
+      createdBy: req.user._id,
+    });
+
+    let user;
+    try {
+      user = await runWithTenant(organization._id, () =>
+        User.create({
+          name: admin.name,
+          email: admin.email,
+          password: admin.password,
+          role: Role.ORG_ADMIN_ROLE,
+        })
+      );
+    } catch (userError) {
+      // Do not leave an organization nobody can log in to
+      await organization.deleteOne();
+      throw userError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      organization,
+      admin: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Create organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating organization",
+      error: error.message,
+    });
+  }
+};
+
+// Rename an organization or (de)activate it. The platform organization stays active.
+const updateOrganization = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
+    if (req.body.isActive === false && organization.isPlatform) {
+      return res.status(400).json({
+        success: false,
+        message: "The platform organization cannot be deactivated",
+      });
+    }
+
+    if (req.body.name !== undefined) organization.name = req.body.name;
+    if (req.body.isActive !== undefined) organization.isActive = req.body.isActive;
+
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: "Organization updated successfully",
+      organization,
+    });
+  } catch (error) {
+    console.error("Update organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating organization",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+};
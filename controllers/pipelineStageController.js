@@ -0,0 +1,342 @@
+const PipelineStage = require("../models/PipelineStage");
+const Lead = require("../models/Lead");
+const { validationResult } = require("express-validator");
+
+// Check whether a name is already used by another stage, either as its name or an alias
+const findNameConflict = (stages, name, excludeId) => {
+  const value = name.trim().toLowerCase();
+  return stages.find(
+    (stage) =>
+      (!excludeId || stage._id.toString() !== excludeId.toString()) &&
+      (stage.name.toLowerCase() === value ||
+        (stage.aliases || []).some((alias) => alias.toLowerCase() === value))
+  );
+};
+
+// Make sure exactly one stage is flagged as the default
+const setDefaultStage = async (stageId) => {
+  await PipelineStage.updateMany(
+    { _id: { $ne: stageId } },
+    { $set: { isDefault: false } }
+  );
+};
+
+// Get all pipeline stages in order
+const getStages = async (req, res) => {
+  try {
+    const stages = await PipelineStage.getStages();
+
+    res.json({
+      success: true,
+      stages,
+    });
+  } catch (error) {
+    console.error("Get pipeline stages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching pipeline stages",
+      error: error.message,
+    });
+  }
+};
+
+// Create a pipeline stage
+const createStage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, color, order, isWon, isLost, isDefault } = req.body;
+
+    const stages = await PipelineStage.getStages();
+    if (findNameConflict(stages, name)) {
+      return res.status(400).json({
+        success: false,
+        message: `A stage named "${name}" already exists`,
+      });
+    }
+
+    // New stages go to the end of the pipeline unless an order is given
+    const lastOrder = stages.length > 0 ? stages[stages.length - 1].order : -1;
+
+    const stage = new PipelineStage({
+      name,
+      color,
+      order: order !== undefined ? order : lastOrder + 1,
+      isWon: !!isWon,
+      isLost: !!isLost,
+      isDefault: !!isDefault,
+    });
+
+    await stage.save();
+
+    if (stage.isDefault) {
+      await setDefaultStage(stage._id);
+    }
+
+    console.log(`✅ Pipeline stage "${stage.name}" created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Pipeline stage created successfully",
+      stage,
+    });
+  } catch (error) {
+    console.error("Create pipeline stage error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating pipeline stage",
+      error: error.message,
+    });
+  }
+};
+
+// Update a pipeline stage (renaming moves all leads in the stage to the new name)
+const updateStage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const stage = await PipelineStage.findById(req.params.id);
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        message: "Pipeline stage not found",
+      });
+    }
+
+    const { name, color, order, isWon, isLost, isDefault } = req.body;
+    const previousName = stage.name;
+
+    if (name !== undefined && name.trim() !== previousName) {
+      const stages = await PipelineStage.getStages();
+      if (findNameConflict(stages, name, stage._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `A stage named "${name}" already exists`,
+        });
+      }
+
+      stage.name = name;
+      // Keep the old name resolvable for clients and sheets that still use it
+      if (!stage.aliases.some((alias) => alias.toLowerCase() === previousName.toLowerCase())) {
+        stage.aliases.push(previousName);
+      }
+      stage.aliases = stage.aliases.filter(
+        (alias) => alias.toLowerCase() !== stage.name.toLowerCase()
+      );
+    }
+
+    if (color !== undefined) stage.color = color;
+    if (order !== undefined) stage.order = order;
+    if (isWon !== undefined) stage.isWon = !!isWon;
+    if (isLost !== undefined) stage.isLost = !!isLost;
+
+    if (isDefault === false && stage.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: "Mark another stage as default instead of unsetting the current default",
+      });
+    }
+    if (isDefault) stage.isDefault = true;
+
+    await stage.save();
+
+    if (stage.isDefault) {
+      await setDefaultStage(stage._id);
+    }
+
+    let movedLeads = 0;
+    if (stage.name !== previousName) {
+      const result = await Lead.updateMany(
+        { status: previousName },
+        {
+          $set: { status: stage.name },
+          $push: { statusHistory: Lead.buildStatusTransition(previousName, stage.name, req.user._id, "Stage renamed") },
+        }
+      );
+      movedLeads = result.modifiedCount;
+    }
+
+    console.log(`✅ Pipeline stage ${stage._id} updated by user ${req.user.id}`, {
+      previousName,
+      name: stage.name,
+      movedLeads,
+    });
+
+    res.json({
+      success: true,
+      message: "Pipeline stage updated successfully",
+      stage,
+      movedLeads,
+    });
+  } catch (error) {
+    console.error("Update pipeline stage error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating pipeline stage",
+      error: error.message,
+    });
+  }
+};
+
+// Reorder pipeline stages from an ordered list of stage ids
+const reorderStages = async (req, res) => {
+  try {
+    const { stageIds } = req.body;
+
+    if (!Array.isArray(stageIds) || stageIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "stageIds must be a non-empty array",
+      });
+    }
+
+    const stages = await PipelineStage.getStages();
+    const knownIds = stages.map((stage) => stage._id.toString());
+    const unknownId = stageIds.find((id) => !knownIds.includes(String(id)));
+
+    if (unknownId || new Set(stageIds.map(String)).size !== knownIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: "stageIds must list every pipeline stage exactly once",
+      });
+    }
+
+    await PipelineStage.bulkWrite(
+      stageIds.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { order: index } },
+        },
+      }))
+    );
+
+    const reordered = await PipelineStage.getStages();
+
+    res.json({
+      success: true,
+      message: "Pipeline stages reordered successfully",
+      stages: reordered,
+    });
+  } catch (error) {
+    console.error("Reorder pipeline stages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reordering pipeline stages",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a pipeline stage, moving its leads to another stage
+const deleteStage = async (req, res) => {
+  try {
+    const stage = await PipelineStage.findById(req.params.id);
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        message: "Pipeline stage not found",
+      });
+    }
+
+    const stages = await PipelineStage.getStages();
+    if (stages.length <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: "The pipeline must keep at least one stage",
+      });
+    }
+
+    const leadCount = await Lead.countDocuments({ status: stage.name });
+    const moveTo = req.body && req.body.moveTo;
+    let target = null;
+
+    if (moveTo) {
+      target = stages.find(
+        (s) =>
+          s._id.toString() !== stage._id.toString() &&
+          (s._id.toString() === String(moveTo) ||
+            s.name.toLowerCase() === String(moveTo).trim().toLowerCase())
+      );
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: "moveTo must reference another existing stage",
+        });
+      }
+    } else if (leadCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${leadCount} leads are in this stage. Provide "moveTo" to move them to another stage.`,
+        leadCount,
+      });
+    }
+
+    let movedLeads = 0;
+    if (target) {
+      const result = await Lead.updateMany(
+        { status: stage.name },
+        {
+          $set: { status: target.name },
+          $push: { statusHistory: Lead.buildStatusTransition(stage.name, target.name, req.user._id, "Stage deleted") },
+        }
+      );
+      movedLeads = result.modifiedCount;
+
+      // Old values of the deleted stage now resolve to the target stage
+      target.aliases.push(
+        ...[stage.name, ...stage.aliases].filter(
+          (alias) => !target.aliases.some((a) => a.toLowerCase() === alias.toLowerCase())
+        )
+      );
+      await target.save();
+    }
+
+    await PipelineStage.findByIdAndDelete(stage._id);
+
+    // Hand the default flag to the first remaining stage
+    if (stage.isDefault) {
+      const remaining = stages.filter((s) => s._id.toString() !== stage._id.toString());
+      await PipelineStage.findByIdAndUpdate(remaining[0]._id, { isDefault: true });
+    }
+
+    console.log(`🗑️ Pipeline stage "${stage.name}" deleted by user ${req.user.id}`, {
+      movedTo: target ? target.name : null,
+      movedLeads,
+    });
+
+    res.json({
+      success: true,
+      message: "Pipeline stage deleted successfully",
+      movedLeads,
+    });
+  } catch (error) {
+    console.error("Delete pipeline stage error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting pipeline stage",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getStages,
+  createStage,
+  updateStage,
+  reorderStages,
+  deleteStage,
+};
@@ -0,0 +1,213 @@
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { validationResult } = require("express-validator");
+
+// Permissions must come from the catalogue; returns { permissions } or { error }
+const normalizePermissions = (permissions) => {
+  const cleaned = [...new Set(permissions || [])];
+  const unknown = cleaned.find((permission) => !Object.prototype.hasOwnProperty.call(Role.PERMISSIONS, permission));
+  if (unknown) {
+    return { error: `Unknown permission "${unknown}"` };
+  }
+  return { permissions: cleaned };
+};
+
+// Roles whose access is fixed in Role.getAccess
+const isAdminRole = (role) => [Role.ADMIN_ROLE, Role.ORG_ADMIN_ROLE].includes(role.name);
+
+// Get all roles with the permission catalogue
+const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.getRoles();
+
+    res.json({
+      success: true,
+      roles,
+      permissions: Object.entries(Role.PERMISSIONS).map(([key, description]) => ({ key, description })),
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching roles",
+      error: error.message,
+    });
+  }
+};
+
+// Create a role
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, label, maskedFields } = req.body;
+
+    const { permissions, error } = normalizePermissions(req.body.permissions);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Names and aliases both resolve User.role values, so a new name may not match either
+    if (Role.matchRole(await Role.getRoles(), name)) {
+      return res.status(400).json({
+        success: false,
+        message: `A role named "${name}" already exists`,
+      });
+    }
+
+    const role = new Role({
+      name,
+      label: label || name,
+      permissions,
+      maskedFields: [...new Set(maskedFields || [])],
+    });
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      role,
+    });
+  } catch (error) {
+    console.error("Create role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating role",
+      error: error.message,
+    });
+  }
+};
+
+// Update a role's label, permissions or masked fields. The name cannot change because
+// users store it, and the admin roles always keep every permission and see every field.
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (req.body.name !== undefined && req.body.name !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: "The name of a role cannot be changed",
+      });
+    }
+
+    if (req.body.permissions !== undefined) {
+      if (isAdminRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${role.name} role always has every permission`,
+        });
+      }
+
+      const { permissions, error } = normalizePermissions(req.body.permissions);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      role.permissions = permissions;
+    }
+
+    if (req.body.maskedFields !== undefined) {
+      if (isAdminRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${role.name} role always sees every field`,
+        });
+      }
+      role.maskedFields = [...new Set(req.body.maskedFields)];
+    }
+
+    if (req.body.label !== undefined) role.label = req.body.label;
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      role,
+    });
+  } catch (error) {
+    console.error("Update role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating role",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a role nobody has. Built-in roles cannot be deleted.
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: "Built-in roles cannot be deleted",
+      });
+    }
+
+    const users = await User.countDocuments({ role: { $in: [role.name, ...role.aliases] } });
+    if (users > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${users} user(s) still have this role. Give them another role first.`,
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting role",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
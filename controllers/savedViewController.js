@@ -0,0 +1,301 @@
+const mongoose = require("mongoose");
+const SavedView = require("../models/SavedView");
+const Lead = require("../models/Lead");
+const CustomFieldDefinition = require("../models/CustomFieldDefinition");
+const { ADDITIONAL_PREFIX, LIST_FILTER_PARAMS, buildLeadFilter } = require("../utils/leadQuery");
+const { parseSort } = require("../utils/pagination");
+const { parseExportColumns } = require("../utils/leadExport");
+const { findLeadPage } = require("../services/leadListService");
+const { hasPermission } = require("../utils/permissions");
+
+const isOwner = (view, user) => view.owner.toString() === user._id.toString();
+
+// Views a user can open: their own and shared ones
+const canView = (view, user) => view.shared || isOwner(view, user);
+
+// Owners manage their views; users who can share views also manage shared views
+const canManage = (view, user) => isOwner(view, user) || (view.shared && hasPermission(user, "views.share"));
+
+// Check and normalize view fields from the request body; returns { values } or { error }
+const readViewBody = async (body, user, isUpdate) => {
+  const values = {};
+  const customFields = await CustomFieldDefinition.getDefinitions();
+
+  if (!isUpdate || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "View name is required" };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (body.filters !== undefined) {
+    if (!body.filters || typeof body.filters !== "object" || Array.isArray(body.filters)) {
+      return { error: "filters must be an object of list filter params" };
+    }
+
+    const filters = {};
+    for (const [key, value] of Object.entries(body.filters)) {
+      if (!LIST_FILTER_PARAMS.includes(key) && !key.startsWith(ADDITIONAL_PREFIX)) {
+        return { error: `Unknown filter "${key}". Must be one of: ${LIST_FILTER_PARAMS.join(", ")} or ${ADDITIONAL_PREFIX}<field>` };
+      }
+      if (value === undefined || value === null || value === "") continue;
+      if (key === "filter" && typeof value === "string") {
+        try {
+          filters.filter = JSON.parse(value);
+        } catch (error) {
+          return { error: "filter must be valid JSON" };
+        }
+      } else {
+        filters[key] = value;
+      }
+    }
+
+    const { error } = buildLeadFilter(filters, user, customFields);
+    if (error) {
+      return { error };
+    }
+    values.filters = filters;
+  }
+
+  if (body.sort !== undefined) {
+    const { sort, error } = parseSort(body.sort);
+    if (error) {
+      return { error };
+    }
+    values.sort = (sort.direction === -1 ? "-" : "") + sort.field;
+  }
+
+  if (body.columns !== undefined) {
+    if (!Array.isArray(body.columns)) {
+      return { error: "columns must be an array of column keys" };
+    }
+    if (body.columns.length > 0) {
+      const { error } = parseExportColumns(body.columns, customFields);
+      if (error) {
+        return { error };
+      }
+    }
+    values.columns = body.columns;
+  }
+
+  if (body.shared !== undefined) {
+    const shared = body.shared === true || body.shared === "true";
+    if (shared && !hasPermission(user, "views.share")) {
+      return { error: "You are not allowed to share views", status: 403 };
+    }
+    values.shared = shared;
+  }
+
+  return { values };
+};
+
+const findView = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return SavedView.findById(id);
+};
+
+// Get the views available to the user: their own and shared ones
+const getViews = async (req, res) => {
+  try {
+    const views = await SavedView.find({
+      $or: [{ owner: req.user._id }, { shared: true }],
+    })
+      .populate("owner", "name")
+      .sort({ shared: 1, name: 1 });
+
+    res.json({
+      success: true,
+      views,
+    });
+  } catch (error) {
+    console.error("Get saved views error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching saved views",
+      error: error.message,
+    });
+  }
+};
+
+// Create a saved view
+const createView = async (req, res) => {
+  try {
+    const { values, error, status } = await readViewBody(req.body, req.user, false);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const view = new SavedView({
+      ...values,
+      owner: req.user._id,
+    });
+    await view.save();
+
+    res.status(201).json({
+      success: true,
+      message: "View created successfully",
+      view,
+    });
+  } catch (error) {
+    console.error("Create saved view error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating view",
+      error: error.message,
+    });
+  }
+};
+
+// Update a saved view
+const updateView = async (req, res) => {
+  try {
+    const view = await findView(req.params.id);
+    if (!view || !canView(view, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: "View not found",
+      });
+    }
+    if (!canManage(view, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only change your own views",
+      });
+    }
+
+    const { values, error, status } = await readViewBody(req.body, req.user, true);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    view.set(values);
+    await view.save();
+
+    res.json({
+      success: true,
+      message: "View updated successfully",
+      view,
+    });
+  } catch (error) {
+    console.error("Update saved view error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating view",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a saved view
+const deleteView = async (req, res) => {
+  try {
+    const view = await findView(req.params.id);
+    if (!view || !canView(view, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: "View not found",
+      });
+    }
+    if (!canManage(view, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete your own views",
+      });
+    }
+
+    await view.deleteOne();
+
+    res.json({
+      success: true,
+      message: "View deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete saved view error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting view",
+      error: error.message,
+    });
+  }
+};
+
+// Run a view: a page of its leads plus live counts. Filters are applied for the user
+// running the view, so "me" and role visibility refer to them.
+const runView = async (req, res) => {
+  try {
+    const view = await findView(req.params.id);
+    if (!view || !canView(view, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: "View not found",
+      });
+    }
+
+    const customFields = await CustomFieldDefinition.getDefinitions();
+    const { filter, error: filterError } = buildLeadFilter(view.filters || {}, req.user, customFields);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: `This view's filters are no longer valid: ${filterError}`,
+      });
+    }
+
+    const { leads, pagination, error: pageError } = await findLeadPage(filter, {
+      sort: view.sort,
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      page: req.query.page,
+    });
+    if (pageError) {
+      return res.status(400).json({
+        success: false,
+        message: pageError,
+      });
+    }
+
+    const statusCounts = await Lead.aggregate([
+      { $match: filter },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]);
+
+    res.set({
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      Pragma: "no-cache",
+      Expires: "0",
+    });
+
+    res.json({
+      success: true,
+      view,
+      columns: view.columns,
+      leads,
+      pagination,
+      counts: {
+        total: pagination.total,
+        byStatus: statusCounts.map((count) => ({ status: count._id, count: count.count })),
+      },
+    });
+  } catch (error) {
+    console.error("Run saved view error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running view",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getViews,
+  createView,
+  updateView,
+  deleteView,
+  runView,
+};
@@ -0,0 +1,195 @@
+const mongoose = require("mongoose");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const { validationResult } = require("express-validator");
+const { hasPermission } = require("../utils/permissions");
+
+// The lead and members must be active users; returns { lead, members } or { error }
+const resolveTeamUsers = async (leadId, memberIds) => {
+  const members = [...new Set((memberIds || []).map(String))].filter((id) => id !== String(leadId));
+  const ids = [String(leadId), ...members];
+
+  const invalid = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) {
+    return { error: `Invalid user ID "${invalid}"` };
+  }
+
+  const users = await User.find({ _id: { $in: ids }, isActive: true }).select("_id");
+  if (users.length !== ids.length) {
+    return { error: "The team lead and every member must be active users" };
+  }
+  return { lead: leadId, members };
+};
+
+// Get teams: every team for team managers, otherwise the teams the user leads or belongs to
+const getTeams = async (req, res) => {
+  try {
+    const query = hasPermission(req.user, "teams.manage") ? {} : { $or: [{ lead: req.user._id }, { members: req.user._id }] };
+    const teams = await Team.find(query)
+      .populate("lead", "name email")
+      .populate("members", "name email")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      teams,
+    });
+  } catch (error) {
+    console.error("Get teams error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching teams",
+      error: error.message,
+    });
+  }
+};
+
+// Create a team
+const createTeam = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name } = req.body;
+
+    const { lead, members, error } = await resolveTeamUsers(req.body.lead, req.body.members);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const existing = await Team.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A team named "${name}" already exists`,
+      });
+    }
+
+    const team = new Team({
+      name,
+      lead,
+      members,
+      createdBy: req.user.id,
+    });
+    await team.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Team created successfully",
+      team,
+    });
+  } catch (error) {
+    console.error("Create team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating team",
+      error: error.message,
+    });
+  }
+};
+
+// Update a team's name, lead or members
+const updateTeam = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    const { name } = req.body;
+    if (name !== undefined && name !== team.name) {
+      const existing = await Team.findOne({ name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `A team named "${name}" already exists`,
+        });
+      }
+      team.name = name;
+    }
+
+    if (req.body.lead !== undefined || req.body.members !== undefined) {
+      const { lead, members, error } = await resolveTeamUsers(
+        req.body.lead !== undefined ? req.body.lead : team.lead,
+        req.body.members !== undefined ? req.body.members : team.members
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      team.lead = lead;
+      team.members = members;
+    }
+
+    await team.save();
+
+    res.json({
+      success: true,
+      message: "Team updated successfully",
+      team,
+    });
+  } catch (error) {
+    console.error("Update team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating team",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a team; its members keep their leads
+const deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findByIdAndDelete(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Team deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete team error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting team",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+};
@@ -21,12 +21,31 @@ const authRoutes = require('./routes/authRoutes');
 const leadsRoutes = require('./routes/leadsRoutes');
 const sessionRoutes = require('./routes/sessionRoutes');
 const importantPointsRoutes = require('./routes/importantPointsRoutes');
+const pipelineStageRoutes = require('./routes/pipelineStageRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const importTemplateRoutes = require('./routes/importTemplateRoutes');
+const customFieldRoutes = require('./routes/customFieldRoutes');
+const savedViewRoutes = require('./routes/savedViewRoutes');
+const assignmentRuleRoutes = require('./routes/assignmentRuleRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const { resumeImportJobs } = require('./services/importWorker');
 
 
 app.use('/api/auth', authRoutes);
 app.use('/api/leads', leadsRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/important-points', importantPointsRoutes);
+app.use('/api/pipeline-stages', pipelineStageRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/import-templates', importTemplateRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/views', savedViewRoutes);
+app.use('/api/assignment-rules', assignmentRuleRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 
 // MongoDB Atlas connection with proper options
@@ -49,6 +68,11 @@ const connectDB = async () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Connected to MongoDB Atlas`);
     });
+
+    // Pick up background imports left over from the previous run
+    resumeImportJobs().catch((error) => {
+      console.error('❌ Error resuming import jobs:', error);
+    });
     
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
@@ -1,19 +0,0 @@
-const admin = async (req, res, next) => {
-  try {
-    // Check if user exists and has admin role
-    if (!req.user) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    next();
-  } catch (error) {
-    console.error('Admin middleware error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
-
-module.exports = admin; 
\ No newline at end of file
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { runWithTenant } = require('../utils/tenantScope');
+
+// Fields that must never be copied into the audit trail
+const SENSITIVE_FIELDS = ['password', 'resetPasswordToken', 'resetPasswordExpires'];
+
+// Fields that change on every write and would only add noise to the diff
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+const sanitize = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  SENSITIVE_FIELDS.forEach((field) => delete plain[field]);
+  return plain;
+};
+
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+};
+
+const loadDocument = async (model, id) => {
+  if (!model || !id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return model.findById(id).lean();
+};
+
+// Record a mutating request in the audit log once it has succeeded.
+//   action      - name of the action, e.g. "lead.delete"
+//   entity      - name of the affected model, e.g. "Lead"
+//   model       - model used to snapshot the target before and after the request
+//   param       - route param holding the target id
+//   responseKey - response body key holding the target (for creates)
+// Controllers can add context to the entry by setting res.locals.auditDetails, and name
+// the target by setting res.locals.auditTarget to its document; public routes use it so
+// the entry belongs to the target user's organization.
+const audit = (action, options = {}) => async (req, res, next) => {
+  const { entity = null, model = null, param = null, responseKey = null } = options;
+
+  try {
+    const targetId = param ? req.params[param] : null;
+    const before = sanitize(await loadDocument(model, targetId));
+
+    // Keep a reference to the response body so creates can be traced to the new document
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditResponse = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const body = res.locals.auditResponse;
+        const created = responseKey && body ? body[responseKey] : null;
+        const target = res.locals.auditTarget || null;
+        const entityId = targetId || (created && (created._id || created.id)) || (target && target._id) || null;
+
+        // Login and registration have no req.user yet; take the actor from the response
+        const actorId = req.user ? req.user._id : (body && body.user && body.user.id) || null;
+        const organizationId = req.user
+          ? req.user.organizationId
+          : (body && body.user && body.user.organization && body.user.organization.id) ||
+            (target && target.organizationId) || null;
+
+        // This handler runs outside the request's async context, so enter the organization again
+        await runWithTenant(organizationId, async () => {
+          let after = null;
+          if (model && entityId) {
+            after = sanitize(await loadDocument(model, entityId));
+          } else if (created) {
+            after = sanitize(created);
+          }
+
+          await AuditLog.create({
+            actor: actorId,
+            actorName: req.user ? req.user.name : (body && body.user && body.user.name) || null,
+            actorRole: req.user ? req.user.role : (body && body.user && body.user.role) || null,
+            action,
+            method: req.method,
+            route: req.originalUrl,
+            statusCode: res.statusCode,
+            entity,
+            entityId: mongoose.Types.ObjectId.isValid(entityId) ? entityId : null,
+            before,
+            after,
+            changes: diff(before, after),
+            details: res.locals.auditDetails || null,
+            ipAddress: req.ip || (req.connection && req.connection.remoteAddress) || null,
+            userAgent: req.headers['user-agent'] || null
+          });
+        });
+      } catch (error) {
+        console.error('Audit log write error:', error);
+      }
+    });
+  } catch (error) {
+    // Never block the request because the audit snapshot failed
+    console.error('Audit middleware error:', error);
+  }
+
+  next();
+};
+
+module.exports = audit;
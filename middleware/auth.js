@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Team = require('../models/Team');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { runWithTenant } = require('../utils/tenantScope');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,14 +14,33 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const user = await runWithTenant(null, () => User.findById(decoded.userId));
 
-    if (!user) {
+    // Tokens are issued for one organization and stop working if the user leaves it
+    if (!user || !user.organizationId || decoded.organizationId !== user.organizationId.toString()) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    req.user = user;
-    next();
+    const organization = await Organization.findById(user.organizationId);
+    if (!organization || !organization.isActive) {
+      return res.status(403).json({ message: 'Organization is deactivated' });
+    }
+
+    // Everything after this point only sees the user's organization
+    await runWithTenant(organization._id, async () => {
+      // What the user's role allows, checked by requirePermission and the controllers,
+      // and which lead fields it only sees masked
+      const access = await Role.getAccess(user.role, organization);
+      user.permissions = access.permissions;
+      user.maskedFields = access.maskedFields;
+
+      // Members of the teams this user leads widen which leads they can see
+      user.teamMemberIds = await Team.getLedMemberIds(user._id);
+
+      req.user = user;
+      req.organization = organization;
+      next();
+    });
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
@@ -0,0 +1,37 @@
+const {
+  checkLeadAccess,
+  checkImportantPointAccess
+} = require('../services/leadAccessService');
+
+const deny = (res, denied) =>
+  res.status(denied.status).json({ success: false, message: denied.message });
+
+// Allow the request only when the lead in a route param is within the user's scope.
+// Runs after the auth middleware.
+const leadAccess = (param) => async (req, res, next) => {
+  try {
+    const denied = await checkLeadAccess(req.user, req.params[param]);
+    if (denied) return deny(res, denied);
+    next();
+  } catch (error) {
+    console.error('Lead access middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Same check for an important point in a route param, through the lead it belongs to
+const importantPointAccess = (param) => async (req, res, next) => {
+  try {
+    const denied = await checkImportantPointAccess(req.user, req.params[param]);
+    if (denied) return deny(res, denied);
+    next();
+  } catch (error) {
+    console.error('Important point access middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  leadAccess,
+  importantPointAccess
+};
@@ -0,0 +1,21 @@
+const { maskLeadResponse } = require('../utils/fieldMasking');
+
+// Mask the lead fields the user's role may not see in every JSON response.
+// The user is read when the response is sent, so this can run before auth.
+const maskLeadFields = (req, res, next) => {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      return originalJson(maskLeadResponse(body, req.user));
+    } catch (error) {
+      // Never send unmasked fields because masking failed
+      console.error('Field masking error:', error);
+      res.status(500);
+      return originalJson({ success: false, message: 'Server error' });
+    }
+  };
+
+  next();
+};
+
+module.exports = maskLeadFields;
@@ -0,0 +1,22 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Allow the request when the user's role grants at least one of the given permissions.
+// Runs after the auth middleware.
+const requirePermission = (...permissions) => (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!permissions.some((permission) => hasPermission(req.user, permission))) {
+      return res.status(403).json({ message: `Permission required: ${permissions.join(' or ')}` });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requirePermission;
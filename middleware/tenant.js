@@ -0,0 +1,13 @@
+const { runWithTenant } = require('../utils/tenantScope');
+
+// Run the rest of the request in the user's organization again. Needed after
+// middleware that loses the async context, such as multer. Runs after auth.
+const restoreTenant = (req, res, next) => runWithTenant(req.organization._id, next);
+
+// Run the rest of a public (unauthenticated) route unscoped
+const unscoped = (req, res, next) => runWithTenant(null, next);
+
+module.exports = {
+  restoreTenant,
+  unscoped
+};
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// roundRobin  - members take turns
+// weighted    - members take turns in proportion to their weight (capacity)
+// leastLoaded - the member with the fewest open leads gets the next one
+const STRATEGIES = ['roundRobin', 'weighted', 'leastLoaded'];
+
+// Rule that assigns new leads to a group of users
+const assignmentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+
+  // Rules are tried in ascending priority; the first matching rule assigns the lead
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Every condition must match. A condition matches when the lead's field equals one of
+  // the values (case-insensitive). Fields are "source" or "additionalFields.<key>".
+  // A rule without conditions matches every lead.
+  conditions: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: (value) => value === 'source' || /^additionalFields\.[^.$][^.]*$/.test(value),
+        message: 'Condition field must be "source" or "additionalFields.<key>"'
+      }
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+
+  strategy: {
+    type: String,
+    enum: STRATEGIES,
+    default: 'roundRobin'
+  },
+
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Share of leads under the weighted strategy
+    weight: {
+      type: Number,
+      default: 1,
+      min: [1, 'Weight must be at least 1'],
+      max: [100, 'Weight cannot exceed 100']
+    }
+  }],
+
+  // Number of leads assigned so far; position of the next turn for the rotating strategies
+  cursor: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'assignment_rules'
+});
+
+assignmentRuleSchema.plugin(tenantScope);
+
+// Rule names are unique within an organization
+assignmentRuleSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+assignmentRuleSchema.index({ isActive: 1, priority: 1 });
+
+assignmentRuleSchema.pre('validate', function(next) {
+  if (!this.members || this.members.length === 0) {
+    this.invalidate('members', 'A rule needs at least one member');
+  }
+  (this.conditions || []).forEach((condition, index) => {
+    if (!condition.values || condition.values.length === 0) {
+      this.invalidate(`conditions.${index}.values`, 'A condition needs at least one value');
+    }
+  });
+  next();
+});
+
+// Static method to get the active rules in the order they are tried, with member accounts
+assignmentRuleSchema.statics.getActiveRules = function() {
+  return this.find({ isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .populate('members.user', 'name isActive');
+};
+
+// Static method to reserve the next "count" turns of a rule. Returns the position of the
+// first reserved turn; concurrent imports never get the same turns.
+assignmentRuleSchema.statics.reserveTurns = async function(ruleId, count) {
+  const rule = await this.findOneAndUpdate(
+    { _id: ruleId },
+    { $inc: { cursor: count } },
+    { new: false }
+  ).select('cursor');
+  return rule ? rule.cursor : 0;
+};
+
+assignmentRuleSchema.statics.STRATEGIES = STRATEGIES;
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Snapshot of the actor so entries stay readable after the user is deleted
+  actorName: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+  route: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+
+  entity: {
+    type: String,
+    default: null
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Changed top-level fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Extra context supplied by the controller (e.g. counts of cascaded deletes)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'audit_logs'
+});
+
+auditLogSchema.plugin(tenantScope);
+
+// Create indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
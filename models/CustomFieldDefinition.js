@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'boolean'];
+
+// Typed definition of a lead additionalFields key
+const customFieldDefinitionSchema = new mongoose.Schema({
+  // Key the value is stored under in additionalFields
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    maxlength: [100, 'Field key cannot exceed 100 characters'],
+    validate: {
+      validator: (value) => !value.includes('.') && !value.startsWith('$'),
+      message: 'Field key cannot contain "." or start with "$"'
+    }
+  },
+
+  // Display name, used for export headers and to match sheet columns
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Field label cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+
+  // Allowed values of a select field
+  options: [{
+    type: String,
+    trim: true
+  }],
+
+  required: {
+    type: Boolean,
+    default: false
+  },
+
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'custom_field_definitions'
+});
+
+customFieldDefinitionSchema.plugin(tenantScope);
+
+// Field keys are unique within an organization
+customFieldDefinitionSchema.index({ organizationId: 1, key: 1 }, { unique: true });
+
+customFieldDefinitionSchema.pre('validate', function(next) {
+  if (this.type === 'select' && (!this.options || this.options.length === 0)) {
+    this.invalidate('options', 'A select field needs at least one option');
+  }
+  next();
+});
+
+// Static method to get all definitions in display order
+customFieldDefinitionSchema.statics.getDefinitions = function() {
+  return this.find({}).sort({ order: 1, label: 1 });
+};
+
+customFieldDefinitionSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('CustomFieldDefinition', customFieldDefinitionSchema);
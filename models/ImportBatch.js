@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// One run of a lead import (direct upload or background job). Leads it created are
+// tagged with its id so the whole batch can be rolled back.
+const importBatchSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: ''
+  },
+
+  // Background job that produced the batch, if it was not a direct upload
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    default: null
+  },
+
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportTemplate',
+    default: null
+  },
+
+  duplicatePolicy: {
+    type: String,
+    default: 'skip'
+  },
+
+  // Counts at import time
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['imported', 'rolledBack'],
+    default: 'imported'
+  },
+
+  rollback: {
+    mode: {
+      type: String,
+      enum: ['delete', 'deactivate'],
+      default: null
+    },
+    // Leads removed or deactivated, and leads kept because agents had already worked them
+    removed: {
+      type: Number,
+      default: 0
+    },
+    kept: {
+      type: Number,
+      default: 0
+    },
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    rolledBackAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Uploader
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'import_batches'
+});
+
+importBatchSchema.plugin(tenantScope);
+
+importBatchSchema.index({ createdAt: -1 });
+importBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// A lead import processed in the background, with its progress
+const importJobSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: ''
+  },
+  // Uploaded file waiting to be processed; removed once the job ends
+  filePath: {
+    type: String,
+    default: null
+  },
+
+  // Upload options (mapping, templateId, duplicatePolicy, partial, ...) as sent with the file
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // Progress counters, updated after every chunk
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  rowsParsed: {
+    type: Number,
+    default: 0
+  },
+  // Rows the write pass has gone through (written, skipped or rejected)
+  rowsProcessed: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+
+  // Batch the imported leads are tagged with, for rollback
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: null
+  },
+
+  errorReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportReport',
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+
+  // Set by the cancel endpoint; the worker stops before its next chunk
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'import_jobs'
+});
+
+importJobSchema.plugin(tenantScope);
+
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
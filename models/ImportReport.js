@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// Rows rejected by an import, kept so the admin can download, fix and re-upload them
+const importReportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: ''
+  },
+  sheetName: {
+    type: String,
+    default: 'Sheet1'
+  },
+  // Header row of the original file
+  headers: [{
+    type: String
+  }],
+  rows: [{
+    _id: false,
+    rowNumber: {
+      type: Number,
+      required: true
+    },
+    // Cell values exactly as they were in the original file
+    values: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    issues: [{
+      _id: false,
+      column: {
+        type: String,
+        default: null
+      },
+      value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+      },
+      reason: {
+        type: String,
+        required: true
+      }
+    }]
+  }],
+  // Number of rejected rows; more than rows.length when only the first ones were stored
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'import_reports'
+});
+
+importReportSchema.plugin(tenantScope);
+
+// Reports are only needed while the admin fixes the file; drop them after 7 days
+importReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImportReport', importReportSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+const importTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+
+  // Column header -> lead field, as accepted by the upload endpoint's "mapping"
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Mapping is required']
+  },
+
+  // Normalized header list used to recognise sheets with the same layout
+  headerSignature: {
+    type: String,
+    required: true
+  },
+
+  defaultStatus: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  defaultSource: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [50, 'Default source cannot exceed 50 characters']
+  },
+
+  defaultAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'import_templates'
+});
+
+importTemplateSchema.plugin(tenantScope);
+
+// Template names are unique within an organization
+importTemplateSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+importTemplateSchema.index({ headerSignature: 1 });
+
+// Static method to find the most recently used template for a sheet layout
+importTemplateSchema.statics.findBySignature = function(headerSignature) {
+  return this.findOne({ headerSignature }).sort({ lastUsedAt: -1, updatedAt: -1 });
+};
+
+module.exports = mongoose.model('ImportTemplate', importTemplateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
 
 const importantPointSchema = new mongoose.Schema({
   leadId: {
@@ -29,11 +30,14 @@ const importantPointSchema = new mongoose.Schema({
   collection: 'important_points'
 });
 
+importantPointSchema.plugin(tenantScope);
+
 // Create indexes for better performance
 importantPointSchema.index({ leadId: 1 });
 importantPointSchema.index({ userId: 1 });
 importantPointSchema.index({ createdAt: -1 });
 importantPointSchema.index({ isActive: 1 });
+importantPointSchema.index({ content: 'text' });
 
 // Method to get important point without sensitive fields
 importantPointSchema.methods.toJSON = function() {
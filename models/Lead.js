@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { normalizePhone } = require('../utils/phone');
+const PipelineStage = require('./PipelineStage');
+const { runWithTenant, tenantScope } = require('../utils/tenantScope');
 
 const leadSchema = new mongoose.Schema({
   name: {
@@ -9,18 +12,32 @@ const leadSchema = new mongoose.Schema({
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
 
+  // Phone as it was entered or uploaded
   phone: {
     type: String,
     trim: true,
     default: ''
   },
 
+  // E.164 form of phone (null when it could not be parsed), kept in sync by the hooks below
+  phoneNormalized: {
+    type: String,
+    default: null
+  },
+
+  // false when phone is present but not a valid number, null when there is no phone
+  phoneValid: {
+    type: Boolean,
+    default: null
+  },
+
 
 
+  // Name of a PipelineStage; validated against the configured stages in the controllers.
+  // New leads without one get the default stage (see the hook below).
   status: {
     type: String,
-    enum: ['New', 'Qualified', 'Negotiation', 'Closed', 'Lost'],
-    default: 'New'
+    trim: true
   },
 
   source: {
@@ -42,11 +59,24 @@ const leadSchema = new mongoose.Schema({
     default: ''
   },
 
+  // Free-form labels for grouping leads
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }],
+
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
   },
+  // Assignment rule that picked assignedTo, when a rule did
+  assignmentRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssignmentRule',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -97,10 +127,48 @@ const leadSchema = new mongoose.Schema({
       default: ''
     }
   }],
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+
+  // Set when this lead was merged into another lead and deactivated
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+
+  // Upload batch that created this lead, so a wrong import can be rolled back
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: null
+  },
   
   // Store all additional/dynamic fields from uploaded files
   additionalFields: {
@@ -112,9 +180,15 @@ const leadSchema = new mongoose.Schema({
   collection: 'leads'
 });
 
+leadSchema.plugin(tenantScope);
+
 // Create indexes for better performance
 
 leadSchema.index({ status: 1 });
+leadSchema.index({ phoneNormalized: 1 });
+leadSchema.index({ phoneValid: 1 });
+leadSchema.index({ importBatch: 1 });
+leadSchema.index({ tags: 1 });
 
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ createdBy: 1 });
@@ -126,12 +200,89 @@ leadSchema.index({ callCompletedBy: 1 });
 leadSchema.index({ scheduledAt: 1 });
 leadSchema.index({ notConnectedAt: 1 });
 
+// Full-text search over every string field, including additionalFields values
+leadSchema.index(
+  { '$**': 'text' },
+  {
+    name: 'lead_text_search',
+    weights: { name: 10, phone: 8, points: 4, notes: 3 }
+  }
+);
+
+// Start new leads without a status in their organization's default pipeline stage
+// (on save and insertMany)
+leadSchema.pre('validate', async function() {
+  if (!this.isNew || this.status) return;
+  const stage = await runWithTenant(this.organizationId, () => PipelineStage.getDefaultStage());
+  if (stage) this.status = stage.name;
+});
+
+// Keep the normalized phone in sync on save and insertMany
+leadSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('phone')) {
+    const { raw, normalized, isValid } = normalizePhone(this.phone);
+    this.phone = raw;
+    this.phoneNormalized = normalized;
+    this.phoneValid = isValid;
+  }
+  next();
+});
+
+// Keep the normalized phone in sync when a query update changes the phone
+leadSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const phone = update.$set && update.$set.phone !== undefined ? update.$set.phone : update.phone;
+
+  if (phone !== undefined) {
+    const { raw, normalized, isValid } = normalizePhone(phone);
+    this.set({ phone: raw, phoneNormalized: normalized, phoneValid: isValid });
+  }
+  next();
+});
+
 // Method to get lead without sensitive fields
 leadSchema.methods.toJSON = function() {
   const lead = this.toObject();
   return lead;
 };
 
+// Method to split the lead's life into the periods it spent in each status.
+// The lead is treated as entering its first status when it was created.
+leadSchema.methods.getStageDurations = function(now = new Date()) {
+  const transitions = [...(this.statusHistory || [])]
+    .sort((a, b) => a.changedAt - b.changedAt);
+
+  const periods = [];
+  let currentStage = transitions.length > 0 ? transitions[0].from || transitions[0].to : this.status;
+  let enteredAt = this.createdAt || now;
+
+  transitions.forEach((transition) => {
+    periods.push({
+      stage: currentStage,
+      enteredAt,
+      exitedAt: transition.changedAt,
+      duration: Math.max(0, transition.changedAt - enteredAt)
+    });
+    currentStage = transition.to;
+    enteredAt = transition.changedAt;
+  });
+
+  periods.push({
+    stage: currentStage,
+    enteredAt,
+    exitedAt: null,
+    duration: Math.max(0, now - enteredAt)
+  });
+
+  // Total time (in milliseconds) per stage, summed over repeat visits
+  const totals = {};
+  periods.forEach((period) => {
+    totals[period.stage] = (totals[period.stage] || 0) + period.duration;
+  });
+
+  return { periods, totals };
+};
+
 // Static method to find leads by status
 leadSchema.statics.findByStatus = function(status) {
   return this.find({ status, isActive: true });
@@ -139,6 +290,17 @@ leadSchema.statics.findByStatus = function(status) {
 
 
 
+// Static method to build a status history entry for a lead moving from one stage to another
+leadSchema.statics.buildStatusTransition = function(from, to, userId, reason) {
+  return {
+    from,
+    to,
+    changedBy: userId,
+    changedAt: new Date(),
+    reason: typeof reason === 'string' ? reason.trim() : ''
+  };
+};
+
 // Static method to get leads statistics
 leadSchema.statics.getStats = function() {
   return this.aggregate([
@@ -152,4 +314,16 @@ leadSchema.statics.getStats = function() {
   ]);
 };
 
+// Static method to list the additionalFields keys used by the leads matching a filter
+leadSchema.statics.getAdditionalFieldKeys = async function(filter = {}) {
+  const keys = await this.aggregate([
+    { $match: filter },
+    { $project: { fields: { $objectToArray: { $ifNull: ['$additionalFields', {}] } } } },
+    { $unwind: '$fields' },
+    { $group: { _id: '$fields.k' } },
+    { $sort: { _id: 1 } }
+  ]);
+  return keys.map((key) => key._id);
+};
+
 module.exports = mongoose.model('Lead', leadSchema); 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Organization that data stored before organizations existed belongs to.
+// It is the platform organization: only its users can provision other organizations.
+const DEFAULT_ORGANIZATION = { name: 'Default', slug: 'default', isPlatform: true };
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+
+  // Short unique identifier, e.g. for URLs
+  slug: {
+    type: String,
+    required: [true, 'Organization slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,39}$/, 'Slug must be 2-40 lowercase letters, digits or "-"']
+  },
+
+  // Users of a deactivated organization cannot log in
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  isPlatform: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'organizations'
+});
+
+// Static method to get the platform organization, creating it on first use
+organizationSchema.statics.getDefaultOrganization = async function() {
+  const organization = await this.findOne({ isPlatform: true }).sort({ createdAt: 1 });
+  if (organization) {
+    return organization;
+  }
+
+  try {
+    return await this.create(DEFAULT_ORGANIZATION);
+  } catch (error) {
+    // Another request created it at the same time
+    if (error.code !== 11000) throw error;
+    return this.findOne({ slug: DEFAULT_ORGANIZATION.slug });
+  }
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// Stages every organization starts with. These match the statuses leads were
+// stored with before stages became configurable, so existing leads keep working.
+const DEFAULT_STAGES = [
+  { name: 'New', order: 0, color: '#0d6efd', isDefault: true },
+  { name: 'Qualified', order: 1, color: '#6f42c1' },
+  { name: 'Negotiation', order: 2, color: '#fd7e14' },
+  { name: 'Closed', order: 3, color: '#198754', isWon: true },
+  { name: 'Lost', order: 4, color: '#dc3545', isLost: true }
+];
+
+const pipelineStageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [50, 'Stage name cannot exceed 50 characters']
+  },
+
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  color: {
+    type: String,
+    trim: true,
+    default: '#6c757d',
+    match: [/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/, 'Color must be a hex value like #1a2b3c']
+  },
+
+  isWon: {
+    type: Boolean,
+    default: false
+  },
+
+  isLost: {
+    type: Boolean,
+    default: false
+  },
+
+  // Stage assigned to leads that arrive without a (valid) status
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // Previous names and legacy values that should resolve to this stage
+  aliases: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true,
+  collection: 'pipeline_stages'
+});
+
+pipelineStageSchema.plugin(tenantScope);
+
+// Stage names are unique within an organization
+pipelineStageSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+pipelineStageSchema.index({ order: 1 });
+
+pipelineStageSchema.pre('validate', function(next) {
+  if (this.isWon && this.isLost) {
+    this.invalidate('isWon', 'A stage cannot be both won and lost');
+  }
+  next();
+});
+
+// Static method to get stages in pipeline order, seeding the defaults on first use
+pipelineStageSchema.statics.getStages = async function() {
+  const stages = await this.find({}).sort({ order: 1, createdAt: 1 });
+  if (stages.length > 0) {
+    return stages;
+  }
+
+  try {
+    await this.insertMany(DEFAULT_STAGES, { ordered: false });
+  } catch (error) {
+    // Another request seeded the defaults at the same time
+    if (error.code !== 11000) throw error;
+  }
+  return this.find({}).sort({ order: 1, createdAt: 1 });
+};
+
+// Static method to get the stage new leads are placed in
+pipelineStageSchema.statics.getDefaultStage = async function() {
+  const stages = await this.getStages();
+  return stages.find((stage) => stage.isDefault) || stages[0] || null;
+};
+
+// Static method to find the stage a status value (name or alias, any case) refers to
+pipelineStageSchema.statics.matchStage = function(stages, status) {
+  if (status === undefined || status === null) return null;
+
+  const value = status.toString().trim().toLowerCase();
+  if (!value) return null;
+
+  return stages.find((s) =>
+    s.name.toLowerCase() === value ||
+    (s.aliases || []).some((alias) => alias.toLowerCase() === value)
+  ) || null;
+};
+
+// Static method to map a status value to a stage name
+pipelineStageSchema.statics.resolveStatus = async function(status) {
+  const stage = this.matchStage(await this.getStages(), status);
+  return stage ? stage.name : null;
+};
+
+// Static method to check whether a status value maps to a configured stage
+pipelineStageSchema.statics.isValidStatus = async function(status) {
+  return (await this.resolveStatus(status)) !== null;
+};
+
+module.exports = mongoose.model('PipelineStage', pipelineStageSchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// Every permission a role can grant
+const PERMISSIONS = {
+  'leads.view': 'See and work the leads in their own scope (own, or their team\'s for team leads)',
+  'leads.viewAll': 'See every lead',
+  'leads.edit': 'Update leads, their status, points and calls',
+  'leads.assign': 'Reassign leads (within their team unless they can see every lead)',
+  'leads.bulk': 'Run bulk actions on leads',
+  'leads.upload': 'Upload and import leads, and manage import templates',
+  'leads.export': 'Export leads',
+  'leads.merge': 'Find and merge duplicate leads',
+  'leads.delete': 'Delete leads and roll back imports',
+  'views.share': 'Share saved views with everyone',
+  'pipeline.manage': 'Edit pipeline stages',
+  'customFields.manage': 'Edit custom field definitions',
+  'assignmentRules.manage': 'Edit assignment rules',
+  'teams.manage': 'Edit teams',
+  'users.manage': 'Manage user accounts and their roles',
+  'roles.manage': 'Edit role definitions',
+  'sessions.viewAll': 'See every user\'s sessions',
+  'audit.view': 'Read the audit log',
+  'system.stats': 'See system statistics',
+  'organizations.manage': 'Provision and manage organizations (platform organization only)'
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Permissions that only count for users of the platform organization
+const PLATFORM_PERMISSIONS = ['organizations.manage'];
+
+// Everything an organization can grant its own users
+const ORGANIZATION_PERMISSION_KEYS = PERMISSION_KEYS.filter((permission) => !PLATFORM_PERMISSIONS.includes(permission));
+
+// Role that always has every permission, whatever is stored for it
+const ADMIN_ROLE = 'admin';
+
+// Role that always has every permission within its own organization; given to the
+// first user of a provisioned organization
+const ORG_ADMIN_ROLE = 'orgAdmin';
+
+// Roles every organization starts with. "user" was the only non-admin role before roles
+// became configurable, so it resolves to agent.
+const DEFAULT_ROLES = [
+  { name: ADMIN_ROLE, label: 'Admin', permissions: PERMISSION_KEYS, isSystem: true },
+  { name: ORG_ADMIN_ROLE, label: 'Organization admin', permissions: ORGANIZATION_PERMISSION_KEYS, isSystem: true },
+  {
+    name: 'manager',
+    label: 'Manager',
+    permissions: [
+      'leads.view', 'leads.viewAll', 'leads.edit', 'leads.assign', 'leads.bulk', 'leads.upload',
+      'leads.export', 'leads.merge', 'leads.delete', 'views.share', 'assignmentRules.manage',
+      'teams.manage', 'sessions.viewAll', 'audit.view', 'system.stats'
+    ]
+  },
+  {
+    name: 'teamLead',
+    label: 'Team lead',
+    permissions: ['leads.view', 'leads.edit', 'leads.assign', 'leads.bulk', 'leads.export']
+  },
+  {
+    name: 'agent',
+    label: 'Agent',
+    permissions: ['leads.view', 'leads.edit', 'leads.bulk', 'leads.export'],
+    aliases: ['user']
+  },
+  {
+    name: 'auditor',
+    label: 'Auditor',
+    permissions: ['leads.view', 'leads.viewAll', 'leads.export', 'sessions.viewAll', 'audit.view', 'system.stats']
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  // Value stored in User.role
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_-]{0,29}$/, 'Role name must start with a letter and contain only letters, digits, "-" and "_" (max 30)']
+  },
+
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxlength: [50, 'Role label cannot exceed 50 characters']
+  },
+
+  permissions: [{
+    type: String,
+    enum: PERMISSION_KEYS
+  }],
+
+  // Lead fields shown masked to this role: "phone" or "additionalFields.<key>"
+  maskedFields: [{
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => value === 'phone' || /^additionalFields\.[^.$][^.]*$/.test(value),
+      message: 'Masked fields must be "phone" or "additionalFields.<key>"'
+    }
+  }],
+
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  // Previous names that users may still carry in User.role
+  aliases: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true,
+  collection: 'roles'
+});
+
+roleSchema.plugin(tenantScope);
+
+// Role names are unique within an organization
+roleSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+// Static method to get all roles, seeding the defaults on first use.
+// Built-in roles added after an organization was seeded are created as well.
+roleSchema.statics.getRoles = async function() {
+  const roles = await this.find({}).sort({ createdAt: 1 });
+  const missing = roles.length > 0
+    ? DEFAULT_ROLES.filter((role) => role.isSystem && !roles.some((r) => r.name === role.name))
+    : DEFAULT_ROLES;
+  if (missing.length === 0) {
+    return roles;
+  }
+
+  try {
+    await this.insertMany(missing, { ordered: false });
+  } catch (error) {
+    // Another request seeded the defaults at the same time
+    if (error.code !== 11000) throw error;
+  }
+  return this.find({}).sort({ createdAt: 1 });
+};
+
+// Static method to find the role a User.role value (name or alias, any case) refers to
+roleSchema.statics.matchRole = function(roles, name) {
+  if (name === undefined || name === null) return null;
+
+  const value = name.toString().trim().toLowerCase();
+  if (!value) return null;
+
+  return roles.find((r) =>
+    r.name.toLowerCase() === value ||
+    (r.aliases || []).some((alias) => alias.toLowerCase() === value)
+  ) || null;
+};
+
+// Static method to resolve a User.role value to a role name
+roleSchema.statics.resolveRole = async function(name) {
+  const role = this.matchRole(await this.getRoles(), name);
+  return role ? role.name : null;
+};
+
+// Static method to get what a User.role value grants in an organization:
+// { permissions, maskedFields }. Admins always get every permission and no masking;
+// unknown roles get nothing. Platform permissions are dropped outside the platform organization.
+roleSchema.statics.getAccess = async function(name, organization) {
+  const role = this.matchRole(await this.getRoles(), name);
+  if (!role) return { permissions: [], maskedFields: [] };
+
+  let access;
+  if (role.name === ADMIN_ROLE) {
+    access = { permissions: [...PERMISSION_KEYS], maskedFields: [] };
+  } else if (role.name === ORG_ADMIN_ROLE) {
+    access = { permissions: [...ORGANIZATION_PERMISSION_KEYS], maskedFields: [] };
+  } else {
+    access = {
+      permissions: role.permissions.filter((permission) => PERMISSION_KEYS.includes(permission)),
+      maskedFields: [...(role.maskedFields || [])]
+    };
+  }
+
+  if (!organization || !organization.isPlatform) {
+    access.permissions = access.permissions.filter((permission) => !PLATFORM_PERMISSIONS.includes(permission));
+  }
+  return access;
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.ADMIN_ROLE = ADMIN_ROLE;
+roleSchema.statics.ORG_ADMIN_ROLE = ORG_ADMIN_ROLE;
+
+module.exports = mongoose.model('Role', roleSchema);
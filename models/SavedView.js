@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// A named lead list: filters, sort and visible columns saved by a user
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+
+  // List filter params (status, search, assignedTo, from, to, callState, filter,
+  // additionalFields.<key>) as accepted by the lead list endpoints
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Sort param, e.g. "-lastContacted"
+  sort: {
+    type: String,
+    default: '-createdAt'
+  },
+
+  // Export column keys to show
+  columns: [{
+    type: String,
+    trim: true
+  }],
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Shared views are visible to every user; only admins can share
+  shared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  collection: 'saved_views'
+});
+
+savedViewSchema.plugin(tenantScope);
+
+savedViewSchema.index({ owner: 1, name: 1 });
+savedViewSchema.index({ shared: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
 
 const sessionSchema = new mongoose.Schema({
   userId: {
@@ -36,6 +37,8 @@ const sessionSchema = new mongoose.Schema({
   collection: 'sessions'
 });
 
+sessionSchema.plugin(tenantScope);
+
 // Create indexes for better performance
 sessionSchema.index({ userId: 1, isActive: 1 });
 sessionSchema.index({ loginTime: -1 });
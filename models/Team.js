@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('../utils/tenantScope');
+
+// Group of users led by a team lead, who can see and reassign the members' leads
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Team name cannot exceed 100 characters']
+  },
+
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Team lead is required']
+  },
+
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'teams'
+});
+
+teamSchema.plugin(tenantScope);
+
+// Team names are unique within an organization
+teamSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+teamSchema.index({ lead: 1 });
+teamSchema.index({ members: 1 });
+
+// Static method to get the members of every team a user leads (without the lead themselves)
+teamSchema.statics.getLedMemberIds = async function(userId) {
+  const teams = await this.find({ lead: userId }).select('members').lean();
+  const ids = new Map();
+  teams.forEach((team) => {
+    team.members.forEach((member) => {
+      if (member.toString() !== userId.toString()) ids.set(member.toString(), member);
+    });
+  });
+  return [...ids.values()];
+};
+
+module.exports = mongoose.model('Team', teamSchema);
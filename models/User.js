@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { tenantScope } = require('../utils/tenantScope');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -32,10 +33,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Name of a Role (see models/Role.js)
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    trim: true,
+    default: 'agent'
   },
   isActive: {
     type: Boolean,
@@ -55,6 +57,8 @@ const userSchema = new mongoose.Schema({
   collection: 'users' // Explicitly set collection name
 });
 
+userSchema.plugin(tenantScope);
+
 // Create indexes for better performance
 userSchema.index({ createdAt: -1 });
 userSchema.index({ resetPasswordToken: 1 });
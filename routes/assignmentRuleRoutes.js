@@ -0,0 +1,80 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const AssignmentRule = require("../models/AssignmentRule");
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+} = require("../controllers/assignmentRuleController");
+
+// Validation rules
+const ruleValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  body("priority")
+    .optional()
+    .isInt()
+    .withMessage("Priority must be an integer")
+    .toInt(),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+
+  body("strategy")
+    .optional()
+    .isIn(AssignmentRule.STRATEGIES)
+    .withMessage("Strategy must be one of: " + AssignmentRule.STRATEGIES.join(", ")),
+
+  body("conditions")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Conditions must be an array of at most 20 conditions"),
+
+  body("conditions.*.field")
+    .isString()
+    .withMessage("Condition field must be a string")
+    .trim()
+    .custom((value) => value === "source" || /^additionalFields\.[^.$][^.]*$/.test(value))
+    .withMessage('Condition field must be "source" or "additionalFields.<key>"'),
+
+  body("conditions.*.values")
+    .isArray({ min: 1 })
+    .withMessage("Condition values must be a non-empty array"),
+
+  (isUpdate ? body("members").optional() : body("members"))
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Members must be an array of 1 to 50 users"),
+
+  body("members.*.weight")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Weight must be an integer between 1 and 100")
+    .toInt(),
+];
+
+// Get assignment rules
+router.get("/", auth, requirePermission("assignmentRules.manage"), getRules);
+
+// Create an assignment rule
+router.post("/", auth, requirePermission("assignmentRules.manage"), audit("assignmentRule.create", { entity: "AssignmentRule", model: AssignmentRule, responseKey: "rule" }), ruleValidation(false), createRule);
+
+// Update an assignment rule
+router.put("/:id", auth, requirePermission("assignmentRules.manage"), audit("assignmentRule.update", { entity: "AssignmentRule", model: AssignmentRule, param: "id" }), ruleValidation(true), updateRule);
+
+// Delete an assignment rule
+router.delete("/:id", auth, requirePermission("assignmentRules.manage"), audit("assignmentRule.delete", { entity: "AssignmentRule", model: AssignmentRule, param: "id" }), deleteRule);
+
+module.exports = router;
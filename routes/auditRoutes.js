@@ -0,0 +1,11 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { getAuditLogs } = require('../controllers/auditController');
+
+const router = express.Router();
+
+// Get audit log entries, filterable by user, entity and date range
+router.get('/', auth, requirePermission('audit.view'), getAuditLogs);
+
+module.exports = router;
@@ -7,12 +7,15 @@ const nodemailer = require('nodemailer');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+const { unscoped } = require('../middleware/tenant');
 const {
   register,
   login,
   getCurrentUser,
   getAllUsers,
+  createUser,
   updateUserRole,
   getSystemStats,
   checkFirstUser,
@@ -39,21 +42,20 @@ if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
 }
 
 // Register route
-router.post('/register', [
+router.post('/register', unscoped, audit('user.register', { entity: 'User', model: User, responseKey: 'user' }), [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters long'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-  body('role').optional().isIn(['user', 'admin']).withMessage('Role must be either "user" or "admin"')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
 ], register);
 
 // Login route
-router.post('/login', [
+router.post('/login', unscoped, audit('user.login', { entity: 'User', responseKey: 'user' }), [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ], login);
 
 // Forgot password route
-router.post('/forgot-password', [
+router.post('/forgot-password', unscoped, audit('user.forgotPassword', { entity: 'User' }), [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
 ], async (req, res) => {
   try {
@@ -76,6 +78,7 @@ router.post('/forgot-password', [
     // Generate reset token
     const resetToken = user.generatePasswordResetToken();
     await user.save();
+    res.locals.auditTarget = user;
 
     // Create reset URL - use environment variable, request client URL, or fallback
     const resetUrl = `${requestClientUrl || process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
@@ -121,7 +124,7 @@ router.post('/forgot-password', [
 });
 
 // Reset password route
-router.post('/reset-password', [
+router.post('/reset-password', unscoped, audit('user.resetPassword', { entity: 'User' }), [
   body('token').notEmpty().withMessage('Reset token is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
 ], async (req, res) => {
@@ -149,6 +152,7 @@ router.post('/reset-password', [
     user.password = password;
     user.clearPasswordResetToken();
     await user.save();
+    res.locals.auditTarget = user;
 
     res.json({ message: 'Password has been reset successfully. You can now login with your new password.' });
   } catch (error) {
@@ -171,6 +175,9 @@ router.get('/me', auth, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        organization: { id: req.organization._id, name: req.organization.name, slug: req.organization.slug },
+        permissions: req.user.permissions,
+        maskedFields: req.user.maskedFields,
         lastLogin: user.lastLogin,
         lastLogout: user.lastLogout
       }
@@ -182,7 +189,7 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // Logout route (client-side token removal)
-router.post('/logout', auth, async (req, res) => {
+router.post('/logout', auth, audit('user.logout', { entity: 'User' }), async (req, res) => {
   try {
     // End the current session
     const userId = req.user._id;
@@ -208,14 +215,22 @@ router.post('/logout', auth, async (req, res) => {
 });
 
 // Check if first user (public)
-router.get('/check-first-user', checkFirstUser);
+router.get('/check-first-user', unscoped, checkFirstUser);
+
+// User management routes
+// Get all users
+router.get('/users', auth, requirePermission('users.manage'), getAllUsers);
 
-// Admin routes
-// Get all users (admin only)
-router.get('/users', auth, admin, getAllUsers);
+// Create a user in the caller's organization
+router.post('/users', auth, requirePermission('users.manage'), audit('user.create', { entity: 'User', model: User, responseKey: 'user' }), [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters long'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+  body('role').optional().isString().withMessage('Role must be a role name')
+], createUser);
 
 // Get users for filtering (authenticated users)
-router.get('/users/list', auth, async (req, res) => {
+router.get('/users/list', auth, requirePermission('leads.view'), async (req, res) => {
   try {
     const users = await User.find({}, 'name _id').sort({ name: 1 });
     res.json({ users });
@@ -225,15 +240,15 @@ router.get('/users/list', auth, async (req, res) => {
   }
 });
 
-// Update user role (admin only)
-router.put('/users/:id/role', auth, admin, [
-  body('role').isIn(['user', 'admin']).withMessage('Role must be either "user" or "admin"')
+// Update user role
+router.put('/users/:id/role', auth, requirePermission('users.manage'), audit('user.role', { entity: 'User', model: User, param: 'id' }), [
+  body('role').isString().withMessage('Role must be a role name')
 ], updateUserRole);
 
-// Delete user (admin only)
-router.delete('/users/:id', auth, admin, deleteUser);
+// Delete user
+router.delete('/users/:id', auth, requirePermission('users.manage'), audit('user.delete', { entity: 'User', model: User, param: 'id' }), deleteUser);
 
-// Get system statistics (admin only)
-router.get('/stats', auth, admin, getSystemStats);
+// Get system statistics
+router.get('/stats', auth, requirePermission('system.stats'), getSystemStats);
 
 module.exports = router;
\ No newline at end of file
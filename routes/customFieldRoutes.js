@@ -0,0 +1,69 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const CustomFieldDefinition = require("../models/CustomFieldDefinition");
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+} = require("../controllers/customFieldController");
+
+// Validation rules
+const fieldValidation = (isUpdate) => [
+  (isUpdate ? body("key").optional() : body("key"))
+    .isString()
+    .withMessage("Key must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Key must be between 1 and 100 characters")
+    .custom((value) => !value.includes(".") && !value.startsWith("$"))
+    .withMessage('Key cannot contain "." or start with "$"'),
+
+  body("label")
+    .optional()
+    .isString()
+    .withMessage("Label must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Label must be between 1 and 100 characters"),
+
+  body("type")
+    .optional()
+    .isIn(CustomFieldDefinition.FIELD_TYPES)
+    .withMessage("Type must be one of: " + CustomFieldDefinition.FIELD_TYPES.join(", ")),
+
+  body("options")
+    .optional()
+    .isArray()
+    .withMessage("Options must be an array"),
+
+  body("required")
+    .optional()
+    .isBoolean()
+    .withMessage("Required must be a boolean")
+    .toBoolean(),
+
+  body("order")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Order must be a non-negative integer")
+    .toInt(),
+];
+
+// Get custom field definitions (any user - needed to render and filter lead fields)
+router.get("/", auth, requirePermission("leads.view"), getCustomFields);
+
+// Create a custom field
+router.post("/", auth, requirePermission("customFields.manage"), audit("customField.create", { entity: "CustomFieldDefinition", model: CustomFieldDefinition, responseKey: "field" }), fieldValidation(false), createCustomField);
+
+// Update a custom field
+router.put("/:id", auth, requirePermission("customFields.manage"), audit("customField.update", { entity: "CustomFieldDefinition", model: CustomFieldDefinition, param: "id" }), fieldValidation(true), updateCustomField);
+
+// Delete a custom field
+router.delete("/:id", auth, requirePermission("customFields.manage"), audit("customField.delete", { entity: "CustomFieldDefinition", model: CustomFieldDefinition, param: "id" }), deleteCustomField);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const ImportTemplate = require("../models/ImportTemplate");
+const {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/importTemplateController");
+
+// Get saved import templates
+router.get("/", auth, requirePermission("leads.upload"), getTemplates);
+
+// Create an import template
+router.post("/", auth, requirePermission("leads.upload"), audit("importTemplate.create", { entity: "ImportTemplate", model: ImportTemplate, responseKey: "template" }), createTemplate);
+
+// Update an import template
+router.put("/:id", auth, requirePermission("leads.upload"), audit("importTemplate.update", { entity: "ImportTemplate", model: ImportTemplate, param: "id" }), updateTemplate);
+
+// Delete an import template
+router.delete("/:id", auth, requirePermission("leads.upload"), audit("importTemplate.delete", { entity: "ImportTemplate", model: ImportTemplate, param: "id" }), deleteTemplate);
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const { leadAccess, importantPointAccess } = require("../middleware/leadAccess");
+const audit = require("../middleware/audit");
+const ImportantPoint = require("../models/ImportantPoint");
 const {
   createImportantPoint,
   getImportantPointsByLead,
@@ -11,21 +15,21 @@ const {
 } = require("../controllers/importantPointsController");
 
 // Create a new important point
-router.post("/", auth, createImportantPoint);
+router.post("/", auth, requirePermission("leads.edit"), audit("importantPoint.create", { entity: "ImportantPoint", model: ImportantPoint, responseKey: "importantPoint" }), createImportantPoint);
 
 // Get all important points for a specific lead
-router.get("/lead/:leadId", auth, getImportantPointsByLead);
+router.get("/lead/:leadId", auth, requirePermission("leads.view"), leadAccess("leadId"), getImportantPointsByLead);
 
 // Get all important points created by the current user
-router.get("/user", auth, getImportantPointsByUser);
+router.get("/user", auth, requirePermission("leads.view"), getImportantPointsByUser);
 
 // Get important points summary for dashboard
-router.get("/summary", auth, getImportantPointsSummary);
+router.get("/summary", auth, requirePermission("leads.view"), getImportantPointsSummary);
 
 // Update an important point
-router.put("/:id", auth, updateImportantPoint);
+router.put("/:id", auth, requirePermission("leads.edit"), importantPointAccess("id"), audit("importantPoint.update", { entity: "ImportantPoint", model: ImportantPoint, param: "id" }), updateImportantPoint);
 
 // Delete an important point (soft delete)
-router.delete("/:id", auth, deleteImportantPoint);
+router.delete("/:id", auth, requirePermission("leads.edit"), importantPointAccess("id"), audit("importantPoint.delete", { entity: "ImportantPoint", model: ImportantPoint, param: "id" }), deleteImportantPoint);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,19 +1,38 @@
 const express = require("express");
 const router = express.Router();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const multer = require("multer");
 const { body } = require("express-validator");
 const auth = require("../middleware/auth");
-const admin = require("../middleware/admin");
+const requirePermission = require("../middleware/requirePermission");
+const { leadAccess } = require("../middleware/leadAccess");
+const maskLeadFields = require("../middleware/maskLeadFields");
+const { restoreTenant } = require("../middleware/tenant");
+const audit = require("../middleware/audit");
+const Lead = require("../models/Lead");
+const PipelineStage = require("../models/PipelineStage");
+const ImportJob = require("../models/ImportJob");
+const ImportBatch = require("../models/ImportBatch");
 const {
   uploadLeads,
+  previewLeads,
+  downloadImportReport,
   getAllLeads,
+  searchLeads,
   getLeads,
   getLeadStats,
   getLead,
+  revealPhone,
   updateLead,
   updateLeadStatus,
+  getLeadStatusHistory,
   updateLeadPoints,
   deleteLead,
+  mergeLeads,
+  bulkUpdateLeads,
+  getDuplicateSuggestions,
   softDeleteLead,
   exportLeads,
   restoreLead,
@@ -27,6 +46,36 @@ const {
   getCompletedCalls,
 
 } = require("../controllers/leadsController");
+const {
+  createImportJob,
+  getImportJob,
+  cancelImportJob,
+} = require("../controllers/importJobController");
+const {
+  getImportBatches,
+  rollbackImportBatch,
+} = require("../controllers/importBatchController");
+
+// Accept only spreadsheet files; the processing logic validates their content
+const sheetFileFilter = (req, file, cb) => {
+  const allowedExtensions = [".csv", ".xlsx", ".xls"];
+  const fileExtension = file.originalname
+    .toLowerCase()
+    .substring(file.originalname.lastIndexOf("."));
+
+  if (allowedExtensions.includes(fileExtension)) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        `Invalid file type. Only ${allowedExtensions.join(
+          ", "
+        )} files are allowed.`
+      ),
+      false
+    );
+  }
+};
 
 // Configure multer for file uploads
 const upload = multer({
@@ -34,26 +83,20 @@ const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
-  fileFilter: (req, file, cb) => {
-    // Accept all file types and let the processing logic handle validation
-    const allowedExtensions = [".csv", ".xlsx", ".xls"];
-    const fileExtension = file.originalname
-      .toLowerCase()
-      .substring(file.originalname.lastIndexOf("."));
-
-    if (allowedExtensions.includes(fileExtension)) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error(
-          `Invalid file type. Only ${allowedExtensions.join(
-            ", "
-          )} files are allowed.`
-        ),
-        false
-      );
-    }
+  fileFilter: sheetFileFilter,
+});
+
+// Background imports keep the file on disk until the worker has processed it.
+// Files go to the temp directory, not uploads/, which is publicly served.
+const importJobDir = path.join(os.tmpdir(), "crm-imports");
+fs.mkdirSync(importJobDir, { recursive: true });
+
+const importJobUpload = multer({
+  storage: multer.diskStorage({ destination: importJobDir }),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
   },
+  fileFilter: sheetFileFilter,
 });
 
 // Validation rules
@@ -80,8 +123,12 @@ const leadValidation = [
 
   body("status")
     .optional({ nullable: true, checkFalsy: true })
-    .isIn(["New", "Qualified", "Negotiation", "Closed", "Lost"])
-    .withMessage("Invalid status"),
+    .custom(async (value) => {
+      if (!(await PipelineStage.isValidStatus(value))) {
+        throw new Error("Invalid status");
+      }
+      return true;
+    }),
 
   body("notes")
     .optional({ nullable: true, checkFalsy: true })
@@ -92,67 +139,116 @@ const leadValidation = [
     .withMessage("Notes are too long"),
 ];
 
+// Audit options for routes that act on a single lead
+const leadAudit = (param) => ({ entity: "Lead", model: Lead, param });
+
 // Routes
-// Upload leads from file - Admin only
-router.post("/upload", auth, admin, upload.single("file"), uploadLeads);
+// Lead fields the user's role may not see are masked in every response
+router.use(maskLeadFields);
+
+// Upload leads from file
+router.post("/upload", auth, requirePermission("leads.upload"), upload.single("file"), restoreTenant, audit("lead.upload", { entity: "Lead" }), uploadLeads);
+
+// Preview a file and its suggested column mapping before importing
+// (import it by posting the file again to /upload with the chosen "mapping")
+router.post("/upload/preview", auth, requirePermission("leads.upload"), upload.single("file"), restoreTenant, previewLeads);
+
+// Import a large file in the background; poll /imports/:jobId for progress
+router.post("/imports", auth, requirePermission("leads.upload"), importJobUpload.single("file"), restoreTenant, audit("lead.importJob", { entity: "ImportJob", model: ImportJob, responseKey: "job" }), createImportJob);
+
+// Get the progress of a background import
+router.get("/imports/:jobId", auth, requirePermission("leads.upload"), getImportJob);
+
+// Cancel a background import
+router.post("/imports/:jobId/cancel", auth, requirePermission("leads.upload"), audit("lead.importJob.cancel", { entity: "ImportJob", model: ImportJob, param: "jobId" }), cancelImportJob);
+
+// Import history: one batch per upload or background import
+router.get("/import-batches", auth, requirePermission("leads.upload"), getImportBatches);
+
+// Roll back an import by deleting or deactivating its unworked leads
+router.post("/import-batches/:id/rollback", auth, requirePermission("leads.delete"), audit("lead.importRollback", { entity: "ImportBatch", model: ImportBatch, param: "id" }), rollbackImportBatch);
+
+// Download rows rejected by an import, with an "Error" column
+router.get("/import-reports/:id/download", auth, requirePermission("leads.upload"), downloadImportReport);
 
 // Get all leads (for Leads page - shows ALL leads regardless of status)
-router.get("/all", auth, getAllLeads);
+router.get("/all", auth, requirePermission("leads.view"), getAllLeads);
+
+// Full-text search across leads and their important points
+router.get("/search", auth, requirePermission("leads.view"), searchLeads);
 
 // Get active leads (for Call page - shows only non-completed leads)
-router.get("/", auth, getLeads);
+router.get("/", auth, requirePermission("leads.view"), getLeads);
 
 // Get lead statistics
-router.get("/stats", auth, getLeadStats);
+router.get("/stats", auth, requirePermission("leads.view"), getLeadStats);
 
 // Get completed calls
-router.get("/completed-calls", auth, getCompletedCalls);
+router.get("/completed-calls", auth, requirePermission("leads.view"), getCompletedCalls);
 
 // Get scheduled calls
-router.get("/scheduled-calls", auth, getScheduledCalls);
+router.get("/scheduled-calls", auth, requirePermission("leads.view"), getScheduledCalls);
 
 // Get not connected calls
-router.get("/not-connected-calls", auth, getNotConnectedCalls);
+router.get("/not-connected-calls", auth, requirePermission("leads.view"), getNotConnectedCalls);
+
+// Suggest clusters of likely duplicate leads
+router.get("/duplicates", auth, requirePermission("leads.merge"), getDuplicateSuggestions);
+
+// Merge secondary leads into a primary lead
+router.post("/merge", auth, requirePermission("leads.merge"), audit("lead.merge", { entity: "Lead", model: Lead, responseKey: "lead" }), mergeLeads);
+
+// Apply an action to many leads by ids or filters (reassigning also needs leads.assign)
+router.post("/bulk/:action", auth, requirePermission("leads.bulk"), audit("lead.bulk", { entity: "Lead" }), bulkUpdateLeads);
+
+// Export filtered leads as CSV, XLSX or JSON (without leads.viewAll, only the user's assigned leads)
+router.get("/export", auth, requirePermission("leads.export"), exportLeads);
 
 // Debug route to check not connected leads
-router.get("/debug-not-connected", auth, debugNotConnected);
+router.get("/debug-not-connected", auth, requirePermission("leads.view"), debugNotConnected);
 
 // Debug route to check a specific lead's status
-router.get("/debug-lead/:leadId", auth, debugLeadStatus);
+router.get("/debug-lead/:leadId", auth, requirePermission("leads.view"), leadAccess("leadId"), debugLeadStatus);
 
 // Get single lead
-router.get("/:id", auth, getLead);
+router.get("/:id", auth, requirePermission("leads.view"), leadAccess("id"), getLead);
+
+// Reveal a lead's full phone number (logged in the audit trail)
+router.post("/:id/reveal-phone", auth, requirePermission("leads.view"), leadAccess("id"), audit("lead.revealPhone", { entity: "Lead", param: "id" }), revealPhone);
 
 // Update lead
-router.put("/:id", auth, leadValidation, updateLead);
+router.put("/:id", auth, requirePermission("leads.edit"), leadAccess("id"), audit("lead.update", leadAudit("id")), leadValidation, updateLead);
 
 // Update lead status
-router.patch("/:id/status", auth, updateLeadStatus);
+router.patch("/:id/status", auth, requirePermission("leads.edit"), leadAccess("id"), audit("lead.status", leadAudit("id")), updateLeadStatus);
+
+// Get lead status transitions and time spent per stage
+router.get("/:id/status-history", auth, requirePermission("leads.view"), leadAccess("id"), getLeadStatusHistory);
 
 // Update lead points after status update
-router.patch("/:id/points", auth, updateLeadPoints);
+router.patch("/:id/points", auth, requirePermission("leads.edit"), leadAccess("id"), audit("lead.points", leadAudit("id")), updateLeadPoints);
 
 // Complete a call for a lead
-router.put("/:leadId/complete-call", auth, completeCall);
+router.put("/:leadId/complete-call", auth, requirePermission("leads.edit"), leadAccess("leadId"), audit("lead.completeCall", leadAudit("leadId")), completeCall);
 
 // Restore a completed lead back to active calls
-router.patch("/:leadId/restore", auth, restoreLead);
+router.patch("/:leadId/restore", auth, requirePermission("leads.edit"), leadAccess("leadId"), audit("lead.restore", leadAudit("leadId")), restoreLead);
 
 // Schedule a call for a lead
-router.patch("/:leadId/schedule", auth, scheduleCall);
+router.patch("/:leadId/schedule", auth, requirePermission("leads.edit"), leadAccess("leadId"), audit("lead.scheduleCall", leadAudit("leadId")), scheduleCall);
 
 // Mark a call as not connected
-router.patch("/:leadId/not-connected", auth, markNotConnected);
+router.patch("/:leadId/not-connected", auth, requirePermission("leads.edit"), leadAccess("leadId"), audit("lead.notConnected", leadAudit("leadId")), markNotConnected);
 
 
 
-// Delete lead (hard delete - completely remove from database) - Admin only
-router.delete("/:id", auth, admin, deleteLead);
+// Delete lead (hard delete - completely remove from database)
+router.delete("/:id", auth, requirePermission("leads.delete"), leadAccess("id"), audit("lead.delete", leadAudit("id")), deleteLead);
 
 // Soft delete lead (mark as inactive)
-router.patch("/:id/deactivate", auth, softDeleteLead);
+router.patch("/:id/deactivate", auth, requirePermission("leads.edit"), leadAccess("id"), audit("lead.deactivate", leadAudit("id")), softDeleteLead);
 
-// Export leads to Excel - Admin only
-router.get("/export/excel", auth, admin, exportLeads);
+// Export leads to Excel (kept for existing clients; same as /export?format=xlsx)
+router.get("/export/excel", auth, requirePermission("leads.export"), exportLeads);
 
 module.exports = router;
@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const Organization = require("../models/Organization");
+const {
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+} = require("../controllers/organizationController");
+
+// Validation rules
+const nameValidation = (isUpdate) =>
+  (isUpdate ? body("name").optional() : body("name"))
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters");
+
+const createValidation = [
+  nameValidation(false),
+
+  body("slug")
+    .isString()
+    .withMessage("Slug must be a string")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9-]{1,39}$/)
+    .withMessage('Slug must be 2-40 lowercase letters, digits or "-"'),
+
+  body("admin.name")
+    .isString()
+    .withMessage("Admin name must be a string")
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("Admin name must be at least 2 characters long"),
+
+  body("admin.email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please enter a valid admin email"),
+
+  body("admin.password")
+    .isLength({ min: 6 })
+    .withMessage("Admin password must be at least 6 characters long"),
+];
+
+const updateValidation = [
+  nameValidation(true),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+// Get every organization
+router.get("/", auth, requirePermission("organizations.manage"), getOrganizations);
+
+// Provision an organization with its first (orgAdmin) user
+router.post("/", auth, requirePermission("organizations.manage"), audit("organization.create", { entity: "Organization", model: Organization, responseKey: "organization" }), createValidation, createOrganization);
+
+// Rename or (de)activate an organization
+router.put("/:id", auth, requirePermission("organizations.manage"), audit("organization.update", { entity: "Organization", model: Organization, param: "id" }), updateValidation, updateOrganization);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const PipelineStage = require("../models/PipelineStage");
+const {
+  getStages,
+  createStage,
+  updateStage,
+  reorderStages,
+  deleteStage,
+} = require("../controllers/pipelineStageController");
+
+// Validation rules
+const stageValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+
+  body("color")
+    .optional()
+    .matches(/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/)
+    .withMessage("Color must be a hex value like #1a2b3c"),
+
+  body("order")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Order must be a non-negative integer")
+    .toInt(),
+
+  body(["isWon", "isLost", "isDefault"])
+    .optional()
+    .isBoolean()
+    .withMessage("Flags must be booleans")
+    .toBoolean(),
+
+  body().custom((value) => {
+    if (value && value.isWon === true && value.isLost === true) {
+      throw new Error("A stage cannot be both won and lost");
+    }
+    return true;
+  }),
+];
+
+// Get pipeline stages (any user - needed to render status pickers)
+router.get("/", auth, requirePermission("leads.view"), getStages);
+
+// Create a stage
+router.post("/", auth, requirePermission("pipeline.manage"), audit("pipelineStage.create", { entity: "PipelineStage", model: PipelineStage, responseKey: "stage" }), stageValidation(false), createStage);
+
+// Reorder stages
+router.put("/reorder", auth, requirePermission("pipeline.manage"), audit("pipelineStage.reorder", { entity: "PipelineStage" }), reorderStages);
+
+// Update a stage
+router.put("/:id", auth, requirePermission("pipeline.manage"), audit("pipelineStage.update", { entity: "PipelineStage", model: PipelineStage, param: "id" }), stageValidation(true), updateStage);
+
+// Delete a stage, moving its leads to another stage
+router.delete("/:id", auth, requirePermission("pipeline.manage"), audit("pipelineStage.delete", { entity: "PipelineStage", model: PipelineStage, param: "id" }), deleteStage);
+
+module.exports = router;
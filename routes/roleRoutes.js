@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const Role = require("../models/Role");
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require("../controllers/roleController");
+
+// Validation rules
+const roleValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{0,29}$/)
+    .withMessage('Name must start with a letter and contain only letters, digits, "-" and "_" (max 30)'),
+
+  body("label")
+    .optional()
+    .isString()
+    .withMessage("Label must be a string")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Label must be between 1 and 50 characters"),
+
+  (isUpdate ? body("permissions").optional() : body("permissions"))
+    .isArray()
+    .withMessage("Permissions must be an array"),
+
+  body("maskedFields")
+    .optional()
+    .isArray()
+    .withMessage("Masked fields must be an array"),
+
+  body("maskedFields.*")
+    .isString()
+    .withMessage("Masked fields must be strings")
+    .trim()
+    .matches(/^(phone|additionalFields\.[^.$][^.]*)$/)
+    .withMessage('Masked fields must be "phone" or "additionalFields.<key>"'),
+];
+
+// Get roles and the permission catalogue (also needed to pick a user's role)
+router.get("/", auth, requirePermission("roles.manage", "users.manage"), getRoles);
+
+// Create a role
+router.post("/", auth, requirePermission("roles.manage"), audit("role.create", { entity: "Role", model: Role, responseKey: "role" }), roleValidation(false), createRole);
+
+// Update a role's label, permissions or masked fields
+router.put("/:id", auth, requirePermission("roles.manage"), audit("role.update", { entity: "Role", model: Role, param: "id" }), roleValidation(true), updateRole);
+
+// Delete a role nobody has
+router.delete("/:id", auth, requirePermission("roles.manage"), audit("role.delete", { entity: "Role", model: Role, param: "id" }), deleteRole);
+
+module.exports = router;
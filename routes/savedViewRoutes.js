@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const maskLeadFields = require("../middleware/maskLeadFields");
+const SavedView = require("../models/SavedView");
+const {
+  getViews,
+  createView,
+  updateView,
+  deleteView,
+  runView,
+} = require("../controllers/savedViewController");
+
+// Get the user's own and shared views
+router.get("/", auth, requirePermission("leads.view"), getViews);
+
+// Create a view (sharing it with everyone needs views.share)
+router.post("/", auth, requirePermission("leads.view"), audit("savedView.create", { entity: "SavedView", model: SavedView, responseKey: "view" }), createView);
+
+// Run a view: its leads and live counts
+router.get("/:id/leads", auth, requirePermission("leads.view"), maskLeadFields, runView);
+
+// Update a view (owner, or views.share for shared views)
+router.put("/:id", auth, requirePermission("leads.view"), audit("savedView.update", { entity: "SavedView", model: SavedView, param: "id" }), updateView);
+
+// Delete a view (owner, or views.share for shared views)
+router.delete("/:id", auth, requirePermission("leads.view"), audit("savedView.delete", { entity: "SavedView", model: SavedView, param: "id" }), deleteView);
+
+module.exports = router;
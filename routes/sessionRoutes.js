@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
 const Session = require('../models/Session');
 const {
   createSession,
@@ -13,10 +14,10 @@ const {
 } = require('../controllers/sessionController');
 
 // Create new session (called on login)
-router.post('/create', auth, createSession);
+router.post('/create', auth, audit('session.create', { entity: 'Session', model: Session, responseKey: 'session' }), createSession);
 
 // End current session (called on logout)
-router.post('/end', auth, endSession);
+router.post('/end', auth, audit('session.end', { entity: 'Session', model: Session, responseKey: 'session' }), endSession);
 
 // Get session statistics for current user
 router.get('/stats', auth, getSessionStats);
@@ -27,8 +28,8 @@ router.get('/current', auth, getCurrentSession);
 // Get real-time session updates (for polling)
 router.get('/updates', auth, getSessionUpdates);
 
-// Get all user sessions (admin only)
-router.get('/all', auth, admin, getAllUserSessions);
+// Get all user sessions
+router.get('/all', auth, requirePermission('sessions.viewAll'), getAllUserSessions);
 
 
 
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const auth = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const audit = require("../middleware/audit");
+const Team = require("../models/Team");
+const {
+  getTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+} = require("../controllers/teamController");
+
+// Validation rules
+const teamValidation = (isUpdate) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  (isUpdate ? body("lead").optional() : body("lead"))
+    .isMongoId()
+    .withMessage("Team lead must be a user ID"),
+
+  body("members")
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage("Members must be an array of at most 200 user IDs"),
+
+  body("members.*")
+    .isMongoId()
+    .withMessage("Members must be user IDs"),
+];
+
+// Get teams (team managers see all, others the teams they lead or belong to)
+router.get("/", auth, requirePermission("leads.view"), getTeams);
+
+// Create a team
+router.post("/", auth, requirePermission("teams.manage"), audit("team.create", { entity: "Team", model: Team, responseKey: "team" }), teamValidation(false), createTeam);
+
+// Update a team
+router.put("/:id", auth, requirePermission("teams.manage"), audit("team.update", { entity: "Team", model: Team, param: "id" }), teamValidation(true), updateTeam);
+
+// Delete a team
+router.delete("/:id", auth, requirePermission("teams.manage"), audit("team.delete", { entity: "Team", model: Team, param: "id" }), deleteTeam);
+
+module.exports = router;
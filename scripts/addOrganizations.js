@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Collections of the models that belong to an organization
+const TENANT_COLLECTIONS = [
+  'users',
+  'leads',
+  'sessions',
+  'important_points',
+  'pipeline_stages',
+  'custom_field_definitions',
+  'import_templates',
+  'import_reports',
+  'import_batches',
+  'import_jobs',
+  'saved_views',
+  'assignment_rules',
+  'teams',
+  'roles',
+  'audit_logs'
+];
+
+// Indexes that were unique across the deployment and are now unique per organization
+const GLOBAL_UNIQUE_INDEXES = {
+  roles: 'name_1',
+  pipeline_stages: 'name_1',
+  custom_field_definitions: 'key_1',
+  import_templates: 'name_1',
+  teams: 'name_1',
+  assignment_rules: 'name_1'
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm-app', {
+  dbName: 'CRM'
+});
+
+const db = mongoose.connection;
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+
+  try {
+    // Everything stored before organizations existed moves to the platform organization
+    const organizations = db.collection('organizations');
+    let organization = await organizations.findOne({ isPlatform: true });
+    if (!organization) {
+      const now = new Date();
+      organization = { name: 'Default', slug: 'default', isActive: true, isPlatform: true, createdBy: null, createdAt: now, updatedAt: now };
+      const result = await organizations.insertOne(organization);
+      organization._id = result.insertedId;
+      console.log(`Created the platform organization ${organization._id}`);
+    }
+
+    for (const name of TENANT_COLLECTIONS) {
+      const result = await db.collection(name).updateMany(
+        { organizationId: { $exists: false } },
+        { $set: { organizationId: organization._id } }
+      );
+      console.log(`${name}: ${result.modifiedCount} documents assigned to "${organization.slug}"`);
+    }
+
+    // The per-organization indexes are built by the models when the server starts
+    for (const [name, index] of Object.entries(GLOBAL_UNIQUE_INDEXES)) {
+      try {
+        await db.collection(name).dropIndex(index);
+        console.log(`${name}: dropped unique index ${index}`);
+      } catch (error) {
+        // Index or collection does not exist
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+      }
+    }
+
+    console.log('✅ All data belongs to an organization. Users need to log in again.');
+  } catch (error) {
+    console.error('Error adding organizations:', error);
+  } finally {
+    // Close the connection
+    mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { normalizePhone } = require('../utils/phone');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm-app', {
+  dbName: 'CRM'
+});
+
+const db = mongoose.connection;
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+
+  try {
+    // Get the leads collection
+    const leadsCollection = db.collection('leads');
+
+    // Leads stored before phone normalization was added
+    const filter = { phoneNormalized: { $exists: false } };
+    const pending = await leadsCollection.countDocuments(filter);
+    console.log(`Found ${pending} leads without a normalized phone`);
+
+    let processed = 0;
+    let invalid = 0;
+    let batch = [];
+
+    const cursor = leadsCollection.find(filter, { projection: { phone: 1 } });
+    for await (const lead of cursor) {
+      const { raw, normalized, isValid } = normalizePhone(lead.phone);
+      if (isValid === false) invalid++;
+
+      batch.push({
+        updateOne: {
+          filter: { _id: lead._id },
+          update: { $set: { phone: raw, phoneNormalized: normalized, phoneValid: isValid } }
+        }
+      });
+
+      if (batch.length === 500) {
+        await leadsCollection.bulkWrite(batch);
+        processed += batch.length;
+        batch = [];
+        console.log(`Normalized ${processed}/${pending} leads`);
+      }
+    }
+
+    if (batch.length > 0) {
+      await leadsCollection.bulkWrite(batch);
+      processed += batch.length;
+    }
+
+    console.log(`✅ Normalized ${processed} leads (${invalid} with invalid phone numbers)`);
+  } catch (error) {
+    console.error('Error normalizing phones:', error);
+  } finally {
+    // Close the connection
+    mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+});
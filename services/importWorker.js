@@ -0,0 +1,208 @@
+const fs = require('fs');
+const ImportJob = require('../models/ImportJob');
+const { runWithTenant } = require('../utils/tenantScope');
+const { parseSheetFile } = require('./sheetParser');
+const {
+  resolveImportSettings,
+  buildLeads,
+  createDuplicateState,
+  startImportBatch,
+  importLeads,
+  saveErrorReport,
+  rememberTemplate
+} = require('./leadImportService');
+
+// Rows validated and written per step; progress is saved and cancellation checked between chunks
+const CHUNK_SIZE = 500;
+
+// Jobs run one at a time in this process, in the order they were queued
+const queue = [];
+let running = false;
+
+// Let other requests run between chunks
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+const removeFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Import file cleanup error:', error);
+  }
+};
+
+const finishJob = async (jobId, status, fields = {}) => {
+  const job = await ImportJob.findByIdAndUpdate(
+    jobId,
+    { ...fields, status, finishedAt: new Date(), filePath: null },
+    { new: false }
+  );
+  if (job) await removeFile(job.filePath);
+};
+
+const isCancelRequested = async (jobId) => !!(await ImportJob.exists({ _id: jobId, cancelRequested: true }));
+
+const runJob = async (jobId) => {
+  // Claim the job; it may have been cancelled while waiting in the queue
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!job) return;
+
+  const userId = job.createdBy.toString();
+
+  let sheet;
+  try {
+    sheet = await parseSheetFile(job.filePath);
+  } catch (parseError) {
+    return finishJob(jobId, 'failed', {
+      errorMessage: 'Unable to read the file. Please ensure it is a valid Excel or CSV file.'
+    });
+  }
+
+  const { headers, dataRows } = sheet;
+  const rows = dataRows
+    .map((row, index) => ({ row, rowNumber: index + 2 }))
+    .filter(({ row }) => row && row.length > 0);
+
+  if (rows.length < 1) {
+    return finishJob(jobId, 'failed', {
+      errorMessage: 'File must contain at least a header row and one data row'
+    });
+  }
+
+  const { settings, error: settingsError } = await resolveImportSettings(job.options || {}, headers, userId);
+  if (settingsError) {
+    return finishJob(jobId, 'failed', { errorMessage: settingsError.message });
+  }
+
+  await ImportJob.updateOne({ _id: jobId }, { totalRows: rows.length });
+
+  // First pass: validate every row, so a file with errors is rejected before anything is
+  // written (unless the import is partial). Only the failed rows are kept; the second
+  // pass builds each chunk again instead of holding every built lead in memory.
+  const failedRows = [];
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    if (await isCancelRequested(jobId)) {
+      return finishJob(jobId, 'cancelled');
+    }
+
+    const built = buildLeads(rows.slice(start, start + CHUNK_SIZE), settings);
+    failedRows.push(...built.failedRows);
+
+    await ImportJob.updateOne(
+      { _id: jobId },
+      { rowsParsed: Math.min(start + CHUNK_SIZE, rows.length), failed: failedRows.length }
+    );
+    await yieldToEventLoop();
+  }
+
+  const errorReport = await saveErrorReport({
+    fileName: job.fileName,
+    sheetName: sheet.sheetName,
+    headers,
+    failedRows,
+    userId
+  });
+  const reportId = errorReport ? errorReport.id : null;
+
+  if (failedRows.length > 0 && !settings.partial) {
+    return finishJob(jobId, 'failed', {
+      errorReport: reportId,
+      errorMessage: 'Validation errors found'
+    });
+  }
+
+  // Second pass: write the valid leads chunk by chunk, tagged with one import batch
+  const batch = await startImportBatch(settings, {
+    fileName: job.fileName,
+    importJob: job._id,
+    failed: failedRows.length
+  });
+  await ImportJob.updateOne({ _id: jobId }, { importBatch: batch._id });
+
+  const duplicateState = createDuplicateState();
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    if (await isCancelRequested(jobId)) {
+      return finishJob(jobId, 'cancelled', { errorReport: reportId });
+    }
+
+    const { leads, rowNumbers, failedRows: chunkFailedRows } = buildLeads(rows.slice(start, start + CHUNK_SIZE), settings);
+
+    const result = leads.length > 0
+      ? await importLeads(leads, rowNumbers, settings, duplicateState)
+      : { insertedLeads: [], updatedCount: 0, duplicates: [] };
+
+    await ImportJob.updateOne(
+      { _id: jobId },
+      {
+        $inc: {
+          rowsProcessed: leads.length + chunkFailedRows.length,
+          inserted: result.insertedLeads.length,
+          updated: result.updatedCount,
+          duplicates: result.duplicates.length
+        }
+      }
+    );
+    await yieldToEventLoop();
+  }
+
+  await rememberTemplate(job.options || {}, settings);
+  await finishJob(jobId, 'completed', { errorReport: reportId });
+};
+
+const processQueue = async () => {
+  if (running) return;
+  running = true;
+
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+
+    // The loop keeps the organization scope of the request that started it, so the job
+    // is looked up unscoped and run in its own organization's scope
+    await runWithTenant(null, async () => {
+      try {
+        const job = await ImportJob.findById(jobId).select('organizationId');
+        if (job) await runWithTenant(job.organizationId, () => runJob(jobId));
+      } catch (error) {
+        console.error('Import job error:', error);
+        try {
+          await finishJob(jobId, 'failed', { errorMessage: error.message });
+        } catch (updateError) {
+          console.error('Import job status update error:', updateError);
+        }
+      }
+    });
+  }
+
+  running = false;
+};
+
+// Queue a job for processing
+const enqueueImportJob = (jobId) => {
+  queue.push(jobId.toString());
+  processQueue();
+};
+
+// On startup: fail jobs interrupted by a restart (their leads may be partly written)
+// and queue the ones that never started
+const resumeImportJobs = () => runWithTenant(null, async () => {
+  const interrupted = await ImportJob.find({ status: 'processing' }).select('_id');
+  for (const job of interrupted) {
+    await finishJob(job._id, 'failed', { errorMessage: 'Import was interrupted by a server restart' });
+  }
+
+  const queued = await ImportJob.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+  queued.forEach((job) => enqueueImportJob(job._id));
+
+  if (interrupted.length > 0 || queued.length > 0) {
+    console.log(`📥 Import jobs: ${queued.length} resumed, ${interrupted.length} marked as failed`);
+  }
+});
+
+module.exports = {
+  enqueueImportJob,
+  resumeImportJobs
+};
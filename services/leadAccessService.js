@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const ImportantPoint = require('../models/ImportantPoint');
+const { canSeeLead } = require('../utils/leadQuery');
+
+// Record-level access to single leads, with the same ownership and team rules as the lists.
+// Checks return null when access is allowed, otherwise { status, message }: 404 when there is
+// no such lead (or point), 403 when it exists but is outside the user's scope.
+
+const LEAD_NOT_FOUND = { status: 404, message: 'Lead not found' };
+const LEAD_FORBIDDEN = { status: 403, message: 'You do not have access to this lead' };
+
+// Access to a lead by id; deactivated leads are included so they can still be restored
+const checkLeadAccess = async (user, leadId) => {
+  if (!leadId || !mongoose.Types.ObjectId.isValid(leadId)) return LEAD_NOT_FOUND;
+
+  const lead = await Lead.findById(leadId).select('createdBy assignedTo').lean();
+  if (!lead) return LEAD_NOT_FOUND;
+  return canSeeLead(user, lead) ? null : LEAD_FORBIDDEN;
+};
+
+// Access to an important point goes through the lead it belongs to
+const checkImportantPointAccess = async (user, pointId) => {
+  const notFound = { status: 404, message: 'Important point not found' };
+  if (!pointId || !mongoose.Types.ObjectId.isValid(pointId)) return notFound;
+
+  const point = await ImportantPoint.findById(pointId).select('leadId').lean();
+  if (!point) return notFound;
+  return checkLeadAccess(user, point.leadId);
+};
+
+module.exports = {
+  checkLeadAccess,
+  checkImportantPointAccess
+};
@@ -0,0 +1,110 @@
+const Lead = require('../models/Lead');
+const AssignmentRule = require('../models/AssignmentRule');
+const PipelineStage = require('../models/PipelineStage');
+const { ADDITIONAL_PREFIX } = require('../utils/leadQuery');
+
+const normalize = (value) =>
+  value === undefined || value === null ? '' : value.toString().trim().toLowerCase();
+
+// Value of a condition field on a lead; additionalFields keys are matched case-insensitively
+const fieldValue = (lead, field) => {
+  if (!field.startsWith(ADDITIONAL_PREFIX)) return lead[field];
+
+  const key = field.slice(ADDITIONAL_PREFIX.length).toLowerCase();
+  const fields = lead.additionalFields || {};
+  const match = Object.keys(fields).find((name) => name.toLowerCase() === key);
+  return match === undefined ? undefined : fields[match];
+};
+
+const ruleMatches = (rule, lead) =>
+  (rule.conditions || []).every((condition) => {
+    const value = normalize(fieldValue(lead, condition.field));
+    return value !== '' && condition.values.some((expected) => normalize(expected) === value);
+  });
+
+// Members whose accounts still exist and are active
+const activeMembers = (rule) =>
+  (rule.members || []).filter((member) => member.user && member.user.isActive !== false);
+
+// Smooth weighted round robin: one full cycle of turns, each member appearing "weight"
+// times and spread out rather than in blocks
+const weightedCycle = (members) => {
+  const total = members.reduce((sum, member) => sum + member.weight, 0);
+  const current = members.map(() => 0);
+  const cycle = [];
+
+  for (let turn = 0; turn < total; turn++) {
+    let best = 0;
+    members.forEach((member, index) => {
+      current[index] += member.weight;
+      if (current[index] > current[best]) best = index;
+    });
+    current[best] -= total;
+    cycle.push(members[best]);
+  }
+  return cycle;
+};
+
+// Open leads per user: active leads that are not in a won or lost stage
+const openLeadCounts = async (userIds) => {
+  const stages = await PipelineStage.getStages();
+  const closedStages = stages.filter((stage) => stage.isWon || stage.isLost).map((stage) => stage.name);
+
+  const counts = await Lead.aggregate([
+    { $match: { isActive: true, assignedTo: { $in: userIds }, status: { $nin: closedStages } } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map((count) => [count._id.toString(), count.count]));
+};
+
+// Pick the users for "count" new leads under a rule's strategy
+const pickAssignees = async (rule, members, count) => {
+  if (rule.strategy === 'leastLoaded') {
+    const counts = await openLeadCounts(members.map((member) => member.user._id));
+    const load = members.map((member) => counts.get(member.user._id.toString()) || 0);
+
+    const assignees = [];
+    for (let i = 0; i < count; i++) {
+      const index = load.indexOf(Math.min(...load));
+      load[index] += 1;
+      assignees.push(members[index].user._id);
+    }
+    return assignees;
+  }
+
+  const cycle = rule.strategy === 'weighted' ? weightedCycle(members) : members;
+  const start = await AssignmentRule.reserveTurns(rule._id, count);
+  return Array.from({ length: count }, (value, i) => cycle[(start + i) % cycle.length].user._id);
+};
+
+// Assign new leads with the first active rule each one matches, recording the rule on the
+// lead. Leads no rule matches keep their assignedTo. Leads are changed in place.
+const assignLeads = async (leads, rules) => {
+  if (!rules || rules.length === 0 || leads.length === 0) return;
+
+  const usableRules = rules
+    .map((rule) => ({ rule, members: activeMembers(rule) }))
+    .filter(({ members }) => members.length > 0);
+
+  const leadsByRule = new Map();
+  leads.forEach((lead) => {
+    const match = usableRules.find(({ rule }) => ruleMatches(rule, lead));
+    if (!match) return;
+    if (!leadsByRule.has(match)) leadsByRule.set(match, []);
+    leadsByRule.get(match).push(lead);
+  });
+
+  for (const [{ rule, members }, ruleLeads] of leadsByRule) {
+    const assignees = await pickAssignees(rule, members, ruleLeads.length);
+    ruleLeads.forEach((lead, index) => {
+      lead.assignedTo = assignees[index];
+      lead.assignmentRule = rule._id;
+    });
+  }
+};
+
+module.exports = {
+  ruleMatches,
+  weightedCycle,
+  assignLeads
+};
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const PipelineStage = require('../models/PipelineStage');
+const { buildLeadFilter, scopeUserIds } = require('../utils/leadQuery');
+const { hasPermission } = require('../utils/permissions');
+
+// Most leads one bulk request may touch
+const MAX_BULK_LEADS = 500;
+
+// Check an assignedTo value (user ID, or null / "unassigned") for a user allowed to assign
+// leads. Users who see every lead assign to anyone; others (team leads) within their team.
+// Returns { assignedTo } or { error }.
+const resolveAssignee = async (assignedTo, user) => {
+  if (assignedTo === null || assignedTo === 'unassigned') {
+    return { assignedTo: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+    return { error: 'assignedTo must be a user ID or "unassigned"' };
+  }
+  const assignee = await User.findOne({ _id: assignedTo, isActive: true }).select('_id');
+  if (!assignee) {
+    return { error: 'Assigned user not found' };
+  }
+  if (!hasPermission(user, 'leads.viewAll') && !scopeUserIds(user).some((id) => assignee._id.equals(id))) {
+    return { error: 'Leads can only be assigned to members of your team' };
+  }
+  return { assignedTo: assignee._id };
+};
+
+// Bulk actions. Each one has:
+//   allowed   - whether a user may run it (everyone when missing)
+//   inactive  - whether it targets deactivated leads instead of active ones
+//   prepare   - checks the request body once for the user; returns { params } or { error }
+//   apply     - changes one lead; returns { changed, message? }
+const BULK_ACTIONS = {
+  reassign: {
+    allowed: (user) => hasPermission(user, 'leads.assign'),
+    prepare: async (body, user) => {
+      const { assignedTo, error } = await resolveAssignee(body.assignedTo, user);
+      return error ? { error } : { params: { assignedTo } };
+    },
+    apply: async (lead, params) => {
+      if (String(lead.assignedTo) === String(params.assignedTo)) {
+        return { changed: false, message: 'Already assigned to this user' };
+      }
+      await Lead.updateOne({ _id: lead._id }, { assignedTo: params.assignedTo, assignmentRule: null });
+      return { changed: true };
+    }
+  },
+
+  status: {
+    prepare: async (body) => {
+      const stages = await PipelineStage.getStages();
+      const stage = PipelineStage.matchStage(stages, body.status);
+      if (!stage) {
+        return { error: 'Invalid status. Must be one of: ' + stages.map((s) => s.name).join(', ') };
+      }
+      return { params: { status: stage.name, reason: body.reason } };
+    },
+    apply: async (lead, params, user) => {
+      if (lead.status === params.status) {
+        return { changed: false, message: `Already in ${params.status}` };
+      }
+      // Only apply the change if the status is still the one the transition was recorded from
+      const result = await Lead.updateOne(
+        { _id: lead._id, isActive: true, status: lead.status },
+        {
+          status: params.status,
+          $push: { statusHistory: Lead.buildStatusTransition(lead.status, params.status, user._id, params.reason) }
+        }
+      );
+      if (result.modifiedCount === 0) {
+        throw new Error('Lead status was changed by someone else');
+      }
+      return { changed: true };
+    }
+  },
+
+  deactivate: {
+    prepare: async () => ({ params: {} }),
+    apply: async (lead) => {
+      await Lead.updateOne({ _id: lead._id }, { isActive: false });
+      return { changed: true };
+    }
+  },
+
+  restore: {
+    inactive: true,
+    prepare: async () => ({ params: {} }),
+    apply: async (lead) => {
+      // Merged leads stay deactivated; their data lives on in the lead they were merged into
+      if (lead.mergedInto) {
+        throw new Error('Lead was merged into another lead');
+      }
+      await Lead.updateOne({ _id: lead._id }, { isActive: true });
+      return { changed: true };
+    }
+  },
+
+  tag: {
+    prepare: async (body) => {
+      const tag = typeof body.tag === 'string' ? body.tag.trim() : '';
+      if (!tag || tag.length > 50) {
+        return { error: 'tag must be between 1 and 50 characters' };
+      }
+      return { params: { tag } };
+    },
+    apply: async (lead, params) => {
+      if ((lead.tags || []).includes(params.tag)) {
+        return { changed: false, message: 'Already tagged' };
+      }
+      await Lead.updateOne({ _id: lead._id }, { $addToSet: { tags: params.tag } });
+      return { changed: true };
+    }
+  },
+
+  schedule: {
+    prepare: async (body) => {
+      const scheduledAt = body.scheduledAt ? new Date(body.scheduledAt) : null;
+      if (!scheduledAt || isNaN(scheduledAt.getTime())) {
+        return { error: 'scheduledAt must be a valid date' };
+      }
+      return { params: { scheduledAt } };
+    },
+    apply: async (lead, params) => {
+      // Same fields as scheduling a single call
+      await Lead.updateOne({ _id: lead._id }, { scheduledAt: params.scheduledAt, lastContacted: new Date() });
+      return { changed: true };
+    }
+  }
+};
+
+// Look up a bulk action by name; null when there is no such action
+const findBulkAction = (name) =>
+  Object.prototype.hasOwnProperty.call(BULK_ACTIONS, name) ? BULK_ACTIONS[name] : null;
+
+// Resolve the leads a bulk request targets, from either "ids" or list "filters".
+// Non-admins only reach leads they created or are assigned to.
+// Returns { filter, ids } or { error }.
+const resolveBulkTargets = async (body, action, user, customFields) => {
+  const hasIds = body.ids !== undefined;
+  const hasFilters = body.filters !== undefined;
+  if (hasIds === hasFilters) {
+    return { error: 'Send either "ids" or "filters"' };
+  }
+
+  const { filter, error } = buildLeadFilter(hasFilters ? body.filters || {} : {}, user, customFields);
+  if (error) {
+    return { error };
+  }
+  filter.isActive = !action.inactive;
+
+  if (hasIds) {
+    if (!Array.isArray(body.ids) || body.ids.length === 0) {
+      return { error: 'ids must be a non-empty array of lead IDs' };
+    }
+    const ids = [...new Set(body.ids.map(String))];
+    if (ids.length > MAX_BULK_LEADS) {
+      return { error: `At most ${MAX_BULK_LEADS} leads can be changed at once` };
+    }
+    const invalid = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid) {
+      return { error: `Invalid lead ID "${invalid}"` };
+    }
+    filter._id = { $in: ids };
+    return { filter, ids };
+  }
+
+  const count = await Lead.countDocuments(filter);
+  if (count > MAX_BULK_LEADS) {
+    return { error: `The filter matches ${count} leads; at most ${MAX_BULK_LEADS} can be changed at once. Narrow the filter.` };
+  }
+  const matched = await Lead.find(filter).select('_id').sort({ _id: 1 }).lean();
+  return { filter, ids: matched.map((lead) => String(lead._id)) };
+};
+
+// Apply an action to the target leads one by one, so one failing lead does not stop the rest.
+// Returns { summary, results } with one { id, success, changed, message } per requested lead.
+const runBulkAction = async (action, params, targets, user) => {
+  const leads = await Lead.find(targets.filter)
+    .select('status assignedTo tags mergedInto')
+    .lean();
+  const leadsById = new Map(leads.map((lead) => [String(lead._id), lead]));
+
+  const results = [];
+  for (const id of targets.ids) {
+    const lead = leadsById.get(id);
+    if (!lead) {
+      results.push({ id, success: false, changed: false, message: 'Lead not found' });
+      continue;
+    }
+
+    try {
+      const { changed, message } = await action.apply(lead, params, user);
+      results.push({ id, success: true, changed, message: message || null });
+    } catch (error) {
+      results.push({ id, success: false, changed: false, message: error.message });
+    }
+  }
+
+  const summary = {
+    requested: results.length,
+    succeeded: results.filter((result) => result.success).length,
+    changed: results.filter((result) => result.changed).length,
+    failed: results.filter((result) => !result.success).length
+  };
+
+  return { summary, results };
+};
+
+module.exports = {
+  MAX_BULK_LEADS,
+  BULK_ACTIONS,
+  resolveAssignee,
+  findBulkAction,
+  resolveBulkTargets,
+  runBulkAction
+};
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const PipelineStage = require('../models/PipelineStage');
+const ImportTemplate = require('../models/ImportTemplate');
+const ImportReport = require('../models/ImportReport');
+const ImportBatch = require('../models/ImportBatch');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const AssignmentRule = require('../models/AssignmentRule');
+const {
+  suggestMapping,
+  applyMapping,
+  validateMapping,
+  headerSignature,
+  mappingToObject,
+  buildLeadFromRow,
+  validateLeadRow
+} = require('../utils/leadImport');
+const { applyCustomFields } = require('../utils/customFields');
+const { assignLeads } = require('./leadAssignmentService');
+
+// Shared by the synchronous upload endpoint and the background import worker.
+
+// How uploads treat rows that duplicate an existing lead or an earlier row in the same file
+const DUPLICATE_POLICIES = ['skip', 'update-existing', 'import-anyway'];
+
+// Read a column mapping sent as a JSON string (multipart form) or object; null when malformed
+const parseMappingParam = (value) => {
+  try {
+    const mapping = typeof value === 'string' ? JSON.parse(value) : value;
+    return mapping && typeof mapping === 'object' && !Array.isArray(mapping) ? mapping : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Turn the upload options (the request body) into import settings for a sheet.
+// Returns { settings } or { error: { status, message } }.
+const resolveImportSettings = async (options, headers, userId) => {
+  const duplicatePolicy = options.duplicatePolicy || 'skip';
+  if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    return { error: { status: 400, message: 'Invalid duplicatePolicy. Must be one of: ' + DUPLICATE_POLICIES.join(', ') } };
+  }
+  const duplicateMatch = options.duplicateMatch === 'name+phone' ? 'name+phone' : 'phone';
+
+  // Validate assignedTo if provided
+  if (options.assignedTo && !mongoose.Types.ObjectId.isValid(options.assignedTo)) {
+    return { error: { status: 400, message: 'Invalid assignedTo user ID' } };
+  }
+
+  // A saved template supplies the mapping and defaults. It is either chosen
+  // explicitly or recognised from the sheet's header layout.
+  let template = null;
+  let templateAutoDetected = false;
+  if (options.templateId) {
+    if (!mongoose.Types.ObjectId.isValid(options.templateId)) {
+      return { error: { status: 400, message: 'Invalid templateId' } };
+    }
+    template = await ImportTemplate.findById(options.templateId);
+    if (!template) {
+      return { error: { status: 404, message: 'Import template not found' } };
+    }
+  } else if (!options.mapping) {
+    template = await ImportTemplate.findBySignature(headerSignature(headers));
+    templateAutoDetected = !!template;
+  }
+
+  // Use the column mapping chosen in the import preview, the template's mapping, or match headers automatically
+  let columns;
+  if (options.mapping) {
+    const mapping = parseMappingParam(options.mapping);
+    if (!mapping) {
+      return { error: { status: 400, message: 'mapping must be a JSON object of column header to field' } };
+    }
+    columns = applyMapping(headers, mapping);
+  } else if (template) {
+    columns = applyMapping(headers, template.mapping);
+  } else {
+    columns = suggestMapping(headers);
+  }
+
+  const mappingError = validateMapping(columns);
+  if (mappingError) {
+    return {
+      error: {
+        status: 400,
+        message: options.mapping || template ? mappingError : 'File must contain "Name" column'
+      }
+    };
+  }
+
+  const stages = await PipelineStage.getStages();
+  let defaultStage = stages.find((stage) => stage.isDefault) || stages[0];
+  if (options.defaultStatus) {
+    defaultStage = PipelineStage.matchStage(stages, options.defaultStatus);
+    if (!defaultStage) {
+      return { error: { status: 400, message: 'Invalid defaultStatus. Must be one of: ' + stages.map((s) => s.name).join(', ') } };
+    }
+  } else if (template && template.defaultStatus) {
+    defaultStage = PipelineStage.matchStage(stages, template.defaultStatus) || defaultStage;
+  }
+
+  const explicitAssignee = options.assignedTo || (template && template.defaultAssignee) || null;
+
+  return {
+    settings: {
+      userId,
+      headers,
+      columns,
+      stages,
+      defaultStage,
+      customFields: await CustomFieldDefinition.getDefinitions(),
+      template,
+      templateAutoDetected,
+      duplicatePolicy,
+      duplicateMatch,
+      // In partial mode valid rows are imported and invalid ones are reported instead of failing the file
+      partial: options.partial === true || options.partial === 'true',
+      // Request values take precedence over the template's defaults
+      assignedTo: explicitAssignee || userId,
+      // Without an explicit assignee, assignment rules pick one per lead; unmatched leads
+      // stay with the uploader
+      assignmentRules: explicitAssignee ? [] : await AssignmentRule.getActiveRules(),
+      defaultSource: options.defaultSource || (template && template.defaultSource) || undefined,
+      // Set by startImportBatch before any lead is written
+      importBatch: null
+    }
+  };
+};
+
+// Build and validate leads from data rows given as [{ row, rowNumber }]
+const buildLeads = (rows, settings) => {
+  const leads = [];
+  const rowNumbers = [];
+  const rowErrors = [];
+  const failedRows = [];
+
+  rows.forEach(({ row, rowNumber }) => {
+    if (!row || row.length === 0) return;
+
+    const lead = {
+      ...buildLeadFromRow(row, settings.columns, { source: settings.defaultSource }),
+      assignedTo: settings.assignedTo,
+      createdBy: settings.userId
+    };
+
+    // Type additional fields that have a definition
+    const customFields = applyCustomFields(lead.additionalFields, settings.customFields);
+    lead.additionalFields = customFields.values;
+
+    const problems = [
+      ...validateLeadRow(lead, settings.columns),
+      ...customFields.errors.map(({ key, value, reason }) => ({ column: key, value, reason }))
+    ];
+    if (problems.length > 0) {
+      rowErrors.push(...problems.map((problem) => ({ row: rowNumber, ...problem })));
+      failedRows.push({ rowNumber, values: row, issues: problems });
+      return;
+    }
+
+    // Map the status onto a configured pipeline stage, falling back to the default stage
+    const stage = PipelineStage.matchStage(settings.stages, lead.status);
+    lead.status = stage ? stage.name : settings.defaultStage.name;
+
+    leads.push(lead);
+    rowNumbers.push(rowNumber);
+  });
+
+  return { leads, rowNumbers, rowErrors, failedRows };
+};
+
+// Key used to detect duplicates: the E.164 phone (or its digits when it could not be
+// normalized), optionally combined with the name
+const duplicateKey = (lead, matchBy) => {
+  const phoneKey = lead.phoneNormalized || (lead.phone || '').toString().replace(/\D/g, '');
+  if (!phoneKey) return null;
+  return matchBy === 'name+phone' ? `${lead.name.trim().toLowerCase()}|${phoneKey}` : phoneKey;
+};
+
+// Rows seen so far in the file, kept across chunks so in-file duplicates are found in large imports
+const createDuplicateState = () => ({ firstRowByKey: new Map() });
+
+// Split leads into ones to insert, existing leads to update and duplicates to report
+const resolveDuplicates = async (leads, rowNumbers, settings, state) => {
+  const { duplicatePolicy: policy, duplicateMatch: matchBy } = settings;
+  const normalizedPhones = [...new Set(leads.map((lead) => lead.phoneNormalized).filter(Boolean))];
+  const rawPhones = [...new Set(leads.filter((lead) => !lead.phoneNormalized && lead.phone).map((lead) => lead.phone))];
+
+  const existingLeads = await Lead.find({
+    isActive: true,
+    $or: [
+      { phoneNormalized: { $in: normalizedPhones } },
+      { phone: { $in: rawPhones } }
+    ]
+  }).select('name phone phoneNormalized additionalFields');
+
+  const existingByKey = new Map();
+  existingLeads.forEach((existing) => {
+    const key = duplicateKey(existing, matchBy);
+    if (key && !existingByKey.has(key)) existingByKey.set(key, existing);
+  });
+
+  const toInsert = [];
+  const toUpdate = [];
+  const duplicates = [];
+  const { firstRowByKey } = state;
+
+  leads.forEach((lead, index) => {
+    const row = rowNumbers[index];
+    const key = duplicateKey(lead, matchBy);
+    if (!key) {
+      toInsert.push(lead);
+      return;
+    }
+
+    if (firstRowByKey.has(key)) {
+      const action = policy === 'import-anyway' ? 'imported' : 'skipped';
+      duplicates.push({ row, name: lead.name, phone: lead.phone, matchType: 'file', matchedRow: firstRowByKey.get(key), action });
+      if (action === 'imported') toInsert.push(lead);
+      return;
+    }
+    firstRowByKey.set(key, row);
+
+    const existing = existingByKey.get(key);
+    if (!existing) {
+      toInsert.push(lead);
+      return;
+    }
+
+    const action = { skip: 'skipped', 'update-existing': 'updated', 'import-anyway': 'imported' }[policy];
+    duplicates.push({ row, name: lead.name, phone: lead.phone, matchType: 'existing', matchedLeadId: existing._id, action });
+
+    if (action === 'imported') {
+      toInsert.push(lead);
+    } else if (action === 'updated') {
+      toUpdate.push({ existing, lead });
+    }
+  });
+
+  return { toInsert, toUpdate, duplicates };
+};
+
+// Record a new import batch; leads written with these settings from now on are tagged with it
+const startImportBatch = async (settings, { fileName, importJob = null, failed = 0 }) => {
+  const batch = await ImportBatch.create({
+    fileName,
+    importJob,
+    assignedTo: settings.assignedTo,
+    template: settings.template ? settings.template._id : null,
+    duplicatePolicy: settings.duplicatePolicy,
+    failed,
+    createdBy: settings.userId
+  });
+  settings.importBatch = batch._id;
+  return batch;
+};
+
+// Write a chunk of valid leads: resolve duplicates, refresh matched leads and insert the rest
+const importLeads = async (leads, rowNumbers, settings, state) => {
+  const { toInsert, toUpdate, duplicates } = await resolveDuplicates(leads, rowNumbers, settings, state);
+
+  // Refresh contact details of matched leads; status and assignment are left untouched
+  if (toUpdate.length > 0) {
+    await Lead.bulkWrite(
+      toUpdate.map(({ existing, lead }) => {
+        const $set = {
+          name: lead.name,
+          additionalFields: { ...(existing.additionalFields || {}), ...lead.additionalFields }
+        };
+        ['source', 'notes', 'points'].forEach((field) => {
+          if (lead[field]) $set[field] = lead[field];
+        });
+        // bulkWrite skips the model hooks, so the normalized phone is set here too
+        if (lead.phone) {
+          $set.phone = lead.phone;
+          $set.phoneNormalized = lead.phoneNormalized;
+          $set.phoneValid = lead.phoneValid;
+        }
+        return { updateOne: { filter: { _id: existing._id }, update: { $set } } };
+      })
+    );
+  }
+
+  await assignLeads(toInsert, settings.assignmentRules);
+
+  const insertedLeads = await Lead.insertMany(
+    toInsert.map((lead) => ({ ...lead, importBatch: settings.importBatch }))
+  );
+
+  if (settings.importBatch) {
+    await ImportBatch.updateOne(
+      { _id: settings.importBatch },
+      { $inc: { inserted: insertedLeads.length, updated: toUpdate.length, duplicates: duplicates.length } }
+    );
+  }
+
+  return { insertedLeads, updatedCount: toUpdate.length, duplicates };
+};
+
+// Most rejected rows stored in one report, by count and by approximate size, so the
+// report stays well under MongoDB's 16MB document limit
+const MAX_REPORT_ROWS = 10000;
+const MAX_REPORT_BYTES = 8 * 1024 * 1024;
+
+// Keep rejected rows so they can be downloaded with an "Error" column, fixed and re-uploaded.
+// Rows past the limits are counted but not stored. Returns a summary for the API response,
+// or null when nothing was rejected.
+const saveErrorReport = async ({ fileName, sheetName, headers, failedRows, userId }) => {
+  if (failedRows.length === 0) return null;
+
+  const rows = [];
+  let size = 0;
+  for (const row of failedRows) {
+    size += JSON.stringify(row).length;
+    if (rows.length >= MAX_REPORT_ROWS || size > MAX_REPORT_BYTES) break;
+    rows.push(row);
+  }
+
+  const report = await ImportReport.create({
+    fileName,
+    sheetName,
+    headers,
+    rows,
+    totalRows: failedRows.length,
+    createdBy: userId
+  });
+
+  return {
+    id: report._id,
+    rows: failedRows.length,
+    storedRows: rows.length,
+    truncated: rows.length < failedRows.length,
+    downloadUrl: `/api/leads/import-reports/${report._id}/download`
+  };
+};
+
+// After a successful import, save the layout as a template when asked (saveTemplateAs),
+// or mark the template that was used. Returns the saved template, if any.
+const rememberTemplate = async (options, settings) => {
+  const { template, defaultStage, defaultSource, columns, headers, userId } = settings;
+  const saveTemplateAs = typeof options.saveTemplateAs === 'string' ? options.saveTemplateAs.trim() : '';
+
+  if (saveTemplateAs) {
+    return ImportTemplate.findOneAndUpdate(
+      { name: saveTemplateAs },
+      {
+        mapping: mappingToObject(columns),
+        headerSignature: headerSignature(headers),
+        defaultStatus: options.defaultStatus || (template && template.defaultStatus) ? defaultStage.name : null,
+        defaultSource: defaultSource || null,
+        defaultAssignee: options.assignedTo || (template && template.defaultAssignee) || null,
+        lastUsedAt: new Date(),
+        $setOnInsert: { createdBy: userId }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  if (template) {
+    await ImportTemplate.updateOne({ _id: template._id }, { lastUsedAt: new Date() });
+  }
+  return null;
+};
+
+// Invalid numbers are imported as-is but flagged for the admin
+const findInvalidPhones = (leads, rowNumbers) => {
+  const invalidPhones = [];
+  leads.forEach((lead, index) => {
+    if (lead.phoneValid === false) {
+      invalidPhones.push({ row: rowNumbers[index], name: lead.name, phone: lead.phone });
+    }
+  });
+  return invalidPhones;
+};
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  parseMappingParam,
+  resolveImportSettings,
+  buildLeads,
+  createDuplicateState,
+  startImportBatch,
+  importLeads,
+  saveErrorReport,
+  rememberTemplate,
+  findInvalidPhones
+};
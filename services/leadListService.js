@@ -0,0 +1,62 @@
+const Lead = require('../models/Lead');
+const {
+  parseLimit,
+  parseSort,
+  sortSpec,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+} = require('../utils/pagination');
+
+// Fetch one page of leads for the list endpoints, sorted by the "sort" param. Pages are
+// addressed by the opaque "cursor" returned as nextCursor, or by page number.
+// Returns { leads, pagination } or { error }.
+const findLeadPage = async (query, params) => {
+  const { sort, error: sortError } = parseSort(params.sort);
+  if (sortError) {
+    return { error: sortError };
+  }
+  const limit = parseLimit(params.limit);
+  const page = Math.max(parseInt(params.page) || 1, 1);
+
+  let pageQuery = query;
+  if (params.cursor) {
+    const { cursor, error: cursorError } = decodeCursor(params.cursor, sort);
+    if (cursorError) {
+      return { error: cursorError };
+    }
+    pageQuery = { ...query, $and: [...(query.$and || []), cursorCondition(cursor, sort)] };
+  }
+
+  // Fetch one extra lead to know whether there is a next page
+  let leadsQuery = Lead.find(pageQuery)
+    .populate('createdBy', 'name')
+    .populate('assignedTo', 'name')
+    .sort(sortSpec(sort))
+    .limit(limit + 1);
+  if (!params.cursor) {
+    leadsQuery = leadsQuery.skip((page - 1) * limit);
+  }
+
+  const results = await leadsQuery;
+  const leads = results.slice(0, limit);
+  const hasMore = results.length > limit;
+  const total = await Lead.countDocuments(query);
+
+  return {
+    leads,
+    pagination: {
+      page: params.cursor ? null : page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      sort: (sort.direction === -1 ? '-' : '') + sort.field,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(leads[leads.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  findLeadPage
+};
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { parseSheet } = require('../utils/leadImport');
+
+// Parse a spreadsheet file (see parseSheet) in a worker thread, so reading a large
+// file does not block the requests handled by this process.
+// Rejects when the file is not a readable spreadsheet.
+const parseSheetFile = (filePath) => new Promise((resolve, reject) => {
+  const worker = new Worker(__filename, { workerData: { filePath } });
+  worker.once('message', resolve);
+  worker.once('error', reject);
+  worker.once('exit', (code) => {
+    // After a message or error this does nothing
+    reject(new Error(`Sheet parser stopped with exit code ${code}`));
+  });
+});
+
+if (!isMainThread) {
+  parentPort.postMessage(parseSheet(fs.readFileSync(workerData.filePath)));
+}
+
+module.exports = {
+  parseSheetFile
+};
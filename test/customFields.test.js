@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findDefinition, coerceFieldValue, applyCustomFields } = require('../utils/customFields');
+
+const definitions = [
+  { key: 'budget', label: 'Budget', type: 'number' },
+  { key: 'followUp', label: 'Follow up on', type: 'date' },
+  { key: 'vip', label: 'VIP', type: 'boolean' },
+  { key: 'plan', label: 'Plan', type: 'select', options: ['Basic', 'Pro'], required: true },
+  { key: 'city', label: 'City', type: 'text' }
+];
+
+test('definitions are found by key or label, ignoring case', () => {
+  assert.strictEqual(findDefinition(definitions, 'BUDGET').key, 'budget');
+  assert.strictEqual(findDefinition(definitions, ' follow up on ').key, 'followUp');
+  assert.strictEqual(findDefinition(definitions, 'region'), null);
+});
+
+test('values are coerced to the field type', () => {
+  const coerce = (key, raw) => coerceFieldValue(findDefinition(definitions, key), raw);
+
+  assert.deepStrictEqual(coerce('budget', '1,250.5'), { value: 1250.5 });
+  assert.deepStrictEqual(coerce('budget', 40), { value: 40 });
+  assert.deepStrictEqual(coerce('followUp', '2024-06-01'), { value: new Date('2024-06-01') });
+  assert.deepStrictEqual(coerce('vip', 'Yes'), { value: true });
+  assert.deepStrictEqual(coerce('vip', '0'), { value: false });
+  assert.deepStrictEqual(coerce('plan', 'pro'), { value: 'Pro' });
+  assert.deepStrictEqual(coerce('city', '  Pune '), { value: 'Pune' });
+  assert.deepStrictEqual(coerce('budget', '  '), { value: null });
+});
+
+test('values that do not fit the type are reported', () => {
+  const coerce = (key, raw) => coerceFieldValue(findDefinition(definitions, key), raw);
+
+  assert.deepStrictEqual(coerce('budget', 'lots'), { error: 'must be a number' });
+  assert.deepStrictEqual(coerce('followUp', 'someday'), { error: 'must be a date' });
+  assert.deepStrictEqual(coerce('vip', 'maybe'), { error: 'must be yes or no' });
+  assert.deepStrictEqual(coerce('plan', 'Enterprise'), { error: 'must be one of: Basic, Pro' });
+});
+
+test('applyCustomFields stores typed values under the definition key and keeps unknown keys', () => {
+  const { values, errors } = applyCustomFields(
+    { Budget: '900', VIP: 'no', plan: 'basic', region: 'North', city: '' },
+    definitions
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(values, { budget: 900, vip: false, plan: 'Basic', region: 'North' });
+});
+
+test('applyCustomFields reports invalid and missing required values', () => {
+  const { values, errors } = applyCustomFields({ budget: 'lots' }, definitions);
+
+  assert.deepStrictEqual(values, {});
+  assert.deepStrictEqual(errors, [
+    { key: 'budget', value: 'lots', reason: 'Budget must be a number' },
+    { key: 'Plan', value: null, reason: 'Plan is required' }
+  ]);
+
+  // An invalid required value is reported once
+  assert.deepStrictEqual(applyCustomFields({ plan: 'Gold' }, definitions).errors, [
+    { key: 'plan', value: 'Gold', reason: 'Plan must be one of: Basic, Pro' }
+  ]);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ruleMatches, weightedCycle } = require('../services/leadAssignmentService');
+
+// Names of the members in one weighted cycle, e.g. "aabacaa"
+const cycleOf = (weights) =>
+  weightedCycle(Object.entries(weights).map(([name, weight]) => ({ name, weight })))
+    .map((member) => member.name)
+    .join('');
+
+test('a weighted cycle gives each member as many turns as its weight', () => {
+  const cycle = cycleOf({ a: 2, b: 3, c: 1 });
+  assert.strictEqual(cycle.length, 6);
+  assert.deepStrictEqual([...cycle].sort().join(''), 'aabbbc');
+});
+
+test('a weighted cycle spreads a member\'s turns out instead of giving them in a block', () => {
+  assert.strictEqual(cycleOf({ a: 5, b: 1, c: 1 }), 'aabacaa');
+  assert.strictEqual(cycleOf({ a: 2, b: 2 }), 'abab');
+  assert.strictEqual(cycleOf({ a: 1, b: 1, c: 1 }), 'abc');
+});
+
+test('rules match when every condition matches, ignoring case', () => {
+  const rule = {
+    conditions: [
+      { field: 'source', values: ['Website', 'Referral'] },
+      { field: 'additionalFields.region', values: ['north'] }
+    ]
+  };
+
+  assert.ok(ruleMatches(rule, { source: ' website ', additionalFields: { Region: 'North' } }));
+  assert.ok(!ruleMatches(rule, { source: 'Website', additionalFields: { region: 'South' } }));
+  assert.ok(!ruleMatches(rule, { source: 'Website' }));
+  assert.ok(!ruleMatches({ conditions: [{ field: 'source', values: [''] }] }, { source: '' }));
+});
+
+test('a rule without conditions matches every lead', () => {
+  assert.ok(ruleMatches({ conditions: [] }, { source: 'Manual' }));
+  assert.ok(ruleMatches({}, {}));
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseStructuredFilter, visibilityCondition, buildLeadFilter } = require('../utils/leadQuery');
+
+const userId = new mongoose.Types.ObjectId();
+const manager = { _id: userId, permissions: ['leads.view', 'leads.viewAll'] };
+const agent = { _id: userId, permissions: ['leads.view'] };
+
+const customFields = [
+  { key: 'budget', label: 'Budget', type: 'number' },
+  { key: 'plan', label: 'Plan', type: 'select', options: ['Basic', 'Pro'] }
+];
+
+test('structured filters translate each operator into a Mongo condition', () => {
+  const { conditions } = parseStructuredFilter({
+    source: { in: ['Web', 'Referral'] },
+    name: { contains: 'a.b' },
+    callCompleted: { eq: 'yes' },
+    notes: { exists: false }
+  }, customFields, manager);
+
+  assert.deepStrictEqual(conditions, [
+    { source: { $in: ['Web', 'Referral'] } },
+    { name: { $regex: 'a\\.b', $options: 'i' } },
+    { callCompleted: true },
+    { notes: { $in: [null, ''] } }
+  ]);
+});
+
+test('structured filters accept a JSON string', () => {
+  const { conditions } = parseStructuredFilter('{"status":{"ne":"Lost"}}', customFields, manager);
+  assert.deepStrictEqual(conditions, [{ status: { $ne: 'Lost' } }]);
+});
+
+test('custom fields are filtered by their key with typed values', () => {
+  const { conditions } = parseStructuredFilter({
+    'additionalFields.Budget': { between: ['1,000', 5000] },
+    'additionalFields.plan': { eq: 'pro' },
+    'additionalFields.region': { eq: 'North' }
+  }, customFields, manager);
+
+  assert.deepStrictEqual(conditions, [
+    { 'additionalFields.budget': { $gte: 1000, $lte: 5000 } },
+    { 'additionalFields.plan': 'Pro' },
+    { 'additionalFields.region': 'North' }
+  ]);
+});
+
+test('dates can be relative to now and user ids can be "me"', () => {
+  const before = Date.now();
+  const { conditions } = parseStructuredFilter({
+    lastContacted: { lt: 'now-3d' },
+    assignedTo: { eq: 'me' }
+  }, customFields, agent);
+
+  const threeDaysAgo = conditions[0].lastContacted.$lt.getTime();
+  assert.ok(Math.abs(before - 3 * 24 * 60 * 60 * 1000 - threeDaysAgo) < 1000);
+  assert.ok(conditions[1].assignedTo.equals(userId));
+});
+
+test('fields and operators outside the allow-list are rejected', () => {
+  const rejected = [
+    [{ password: { eq: 'x' } }, 'Cannot filter on "password"'],
+    [{ $where: { eq: '1' } }, 'Cannot filter on "$where"'],
+    [{ 'additionalFields.$gt': { eq: 1 } }, 'Cannot filter on "additionalFields.$gt"'],
+    [{ name: { regex: '.*' } }, /Invalid operator "regex"/],
+    [{ createdAt: { contains: '2024' } }, 'Operator "contains" cannot be used on "createdAt"'],
+    [{ name: { eq: { $ne: null } } }, 'Invalid value for "name"'],
+    [{ 'additionalFields.budget': { gt: 'lots' } }, '"additionalFields.budget" must be a number'],
+    [{ assignedTo: { eq: 'someone' } }, '"assignedTo" must be a user ID or "me"'],
+    [['status'], /filter must be an object/],
+    ['{not json', 'filter must be valid JSON']
+  ];
+
+  rejected.forEach(([spec, message]) => {
+    const { error } = parseStructuredFilter(spec, customFields, manager);
+    if (message instanceof RegExp) {
+      assert.match(error, message);
+    } else {
+      assert.strictEqual(error, message);
+    }
+  });
+});
+
+test('visibility is limited to the user\'s own and team leads unless they see every lead', () => {
+  assert.strictEqual(visibilityCondition(manager), null);
+  assert.deepStrictEqual(visibilityCondition(agent), {
+    $or: [{ createdBy: userId }, { assignedTo: userId }]
+  });
+
+  const memberId = new mongoose.Types.ObjectId();
+  assert.deepStrictEqual(visibilityCondition({ ...agent, teamMemberIds: [memberId] }), {
+    $or: [{ createdBy: { $in: [userId, memberId] } }, { assignedTo: { $in: [userId, memberId] } }]
+  });
+});
+
+test('buildLeadFilter combines list params with the user\'s visibility', () => {
+  const { filter } = buildLeadFilter({ status: 'New', callState: 'scheduled', filter: { source: { eq: 'Web' } } }, agent, customFields);
+
+  assert.deepStrictEqual(filter, {
+    isActive: true,
+    status: 'New',
+    $and: [
+      { $or: [{ createdBy: userId }, { assignedTo: userId }] },
+      { scheduledAt: { $ne: null } },
+      { source: 'Web' }
+    ]
+  });
+});
+
+test('buildLeadFilter reports invalid params', () => {
+  assert.deepStrictEqual(buildLeadFilter({ from: 'soon' }, manager), { error: 'Invalid "from" date' });
+  assert.match(buildLeadFilter({ callState: 'busy' }, manager).error, /Invalid callState/);
+  assert.deepStrictEqual(buildLeadFilter({ 'additionalFields.unknown': 'x' }, manager, customFields), {
+    error: 'Unknown custom field "unknown"'
+  });
+});
+
+test('fields the user only sees masked cannot be filtered or searched on', () => {
+  const masked = { ...manager, maskedFields: ['phone', 'additionalFields.budget'] };
+
+  assert.strictEqual(parseStructuredFilter({ phone: { contains: '98' } }, customFields, masked).error, 'Cannot filter on "phone"');
+  assert.strictEqual(
+    parseStructuredFilter({ 'additionalFields.Budget': { gt: 1 } }, customFields, masked).error,
+    'Cannot filter on "additionalFields.Budget"'
+  );
+  assert.strictEqual(buildLeadFilter({ 'additionalFields.budget': '10' }, masked, customFields).error, 'Cannot filter on "additionalFields.budget"');
+
+  const searchedFields = (user) =>
+    buildLeadFilter({ search: '98765' }, user).filter.$and[0].$or.map((condition) => Object.keys(condition)[0]);
+  assert.deepStrictEqual(searchedFields(masked), ['name', 'notes']);
+  assert.deepStrictEqual(searchedFields(manager), ['name', 'notes', 'phone', 'phoneNormalized']);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseLimit, parseSort, encodeCursor, decodeCursor, cursorCondition } = require('../utils/pagination');
+
+const id = new mongoose.Types.ObjectId();
+const byCreated = { field: 'createdAt', direction: -1 };
+const byName = { field: 'name', direction: 1 };
+
+test('parseLimit falls back to the default and caps the page size', () => {
+  assert.strictEqual(parseLimit(undefined), 10);
+  assert.strictEqual(parseLimit('25'), 25);
+  assert.strictEqual(parseLimit('5000'), 100);
+  assert.strictEqual(parseLimit('-3'), 1);
+});
+
+test('parseSort reads the field and direction and rejects other fields', () => {
+  assert.deepStrictEqual(parseSort(undefined), { sort: byCreated });
+  assert.deepStrictEqual(parseSort('-lastContacted'), { sort: { field: 'lastContacted', direction: -1 } });
+  assert.deepStrictEqual(parseSort('name'), { sort: byName });
+  assert.match(parseSort('password').error, /Invalid sort/);
+});
+
+test('a cursor decodes to the value and id it was made from', () => {
+  const createdAt = new Date('2024-05-01T10:00:00Z');
+  const { cursor } = decodeCursor(encodeCursor({ _id: id, createdAt }, byCreated), byCreated);
+  assert.deepStrictEqual(cursor.value, createdAt);
+  assert.ok(cursor.id.equals(id));
+
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id, name: 'Ann' }, byName), byName).cursor.value, 'Ann');
+  assert.strictEqual(decodeCursor(encodeCursor({ _id: id }, byName), byName).cursor.value, null);
+});
+
+test('a cursor is only accepted for the sort it was issued for', () => {
+  const cursor = encodeCursor({ _id: id, name: 'Ann' }, byName);
+  assert.deepStrictEqual(decodeCursor(cursor, { field: 'name', direction: -1 }), { error: 'Invalid cursor for this sort' });
+  assert.deepStrictEqual(decodeCursor(cursor, byCreated), { error: 'Invalid cursor for this sort' });
+});
+
+test('tampered or malformed cursors are rejected', () => {
+  const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+  assert.deepStrictEqual(decodeCursor('not a cursor', byName), { error: 'Invalid cursor' });
+  assert.deepStrictEqual(
+    decodeCursor(encode({ f: 'name', d: 1, v: { $gt: '' }, id: id.toString() }), byName),
+    { error: 'Invalid cursor for this sort' }
+  );
+  assert.deepStrictEqual(
+    decodeCursor(encode({ f: 'name', d: 1, v: 'Ann', id: 'nope' }), byName),
+    { error: 'Invalid cursor for this sort' }
+  );
+  assert.deepStrictEqual(
+    decodeCursor(encode({ f: 'createdAt', d: -1, v: 'yesterday', t: 'date', id: id.toString() }), byCreated),
+    { error: 'Invalid cursor' }
+  );
+});
+
+test('cursorCondition selects the documents after the cursor, including null values', () => {
+  assert.deepStrictEqual(cursorCondition({ value: 'Ann', id }, byName), {
+    $or: [{ name: { $gt: 'Ann' } }, { name: 'Ann', _id: { $gt: id } }]
+  });
+  assert.deepStrictEqual(cursorCondition({ value: 'Ann', id }, { field: 'name', direction: -1 }), {
+    $or: [{ name: { $lt: 'Ann' } }, { name: 'Ann', _id: { $lt: id } }, { name: null }]
+  });
+  assert.deepStrictEqual(cursorCondition({ value: null, id }, byName), {
+    $or: [{ name: null, _id: { $gt: id } }, { name: { $ne: null } }]
+  });
+  assert.deepStrictEqual(cursorCondition({ value: null, id }, { field: 'name', direction: -1 }), {
+    name: null,
+    _id: { $lt: id }
+  });
+});
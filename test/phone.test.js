@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { cleanPhone, normalizePhone, phoneFields, phoneSearchPattern, maskPhone } = require('../utils/phone');
+
+test('cleanPhone undoes the number formats spreadsheets produce', () => {
+  assert.strictEqual(cleanPhone(9876543210), '9876543210');
+  assert.strictEqual(cleanPhone('9876543210.0'), '9876543210');
+  assert.strictEqual(cleanPhone('9.87654321E+09'), '9876543210');
+  assert.strictEqual(cleanPhone('  +91 98765 43210 '), '+91 98765 43210');
+  assert.strictEqual(cleanPhone(null), '');
+  assert.strictEqual(cleanPhone(NaN), '');
+});
+
+test('normalizePhone returns E.164 for valid numbers in any format', () => {
+  const expected = { raw: '', normalized: '+919876543210', isValid: true };
+  ['98765 43210', '098765-43210', '+91 98765 43210', 9876543210].forEach((value) => {
+    assert.deepStrictEqual(normalizePhone(value, 'IN'), { ...expected, raw: cleanPhone(value) });
+  });
+  assert.strictEqual(normalizePhone('(415) 555-0123', 'US').normalized, '+14155550123');
+});
+
+test('normalizePhone keeps the raw value of numbers it cannot parse', () => {
+  assert.deepStrictEqual(normalizePhone('12345', 'IN'), { raw: '12345', normalized: null, isValid: false });
+  assert.deepStrictEqual(normalizePhone('call me', 'IN'), { raw: 'call me', normalized: null, isValid: false });
+  assert.deepStrictEqual(normalizePhone('', 'IN'), { raw: '', normalized: null, isValid: null });
+});
+
+test('phoneFields names the lead fields', () => {
+  assert.deepStrictEqual(phoneFields('9876543210', 'IN'), {
+    phone: '9876543210',
+    phoneNormalized: '+919876543210',
+    phoneValid: true
+  });
+});
+
+test('phoneSearchPattern keeps the digits without leading zeros', () => {
+  assert.strictEqual(phoneSearchPattern('098765-43210'), '9876543210');
+  assert.strictEqual(phoneSearchPattern('+91 98765'), '9198765');
+  assert.strictEqual(phoneSearchPattern('ab 12'), null);
+  assert.strictEqual(phoneSearchPattern(undefined), null);
+});
+
+test('maskPhone keeps the whole country calling code and the last four digits', () => {
+  assert.strictEqual(maskPhone('+919876543210'), '+91******3210');
+  assert.strictEqual(maskPhone('+14155550123'), '+1******0123');
+  assert.strictEqual(maskPhone('+353861234567'), '+353*****4567');
+  assert.strictEqual(maskPhone('+44 20 7946 0958'), '+44******0958');
+});
+
+test('maskPhone only keeps the last four digits of numbers that are not international', () => {
+  assert.strictEqual(maskPhone('98765 43210'), '******3210');
+  assert.strictEqual(maskPhone('+0001234567'), '******4567');
+  assert.strictEqual(maskPhone('123'), '***');
+  assert.strictEqual(maskPhone(''), '');
+});
@@ -0,0 +1,174 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Team = require('../models/Team');
+const { runWithTenant } = require('../utils/tenantScope');
+
+// Minimal in-memory stand-in for the driver methods of a model's collection, so the tenant
+// scope is tested through the real models without a database. Supports the filters the
+// tests use: equality, $in, $and and $or.
+const sameValue = (a, b) => String(a) === String(b);
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    const value = doc[key];
+    if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+      return condition.$in.some((item) => sameValue(item, value));
+    }
+    return sameValue(condition, value);
+  });
+
+const cursor = (docs) => ({ toArray: async () => docs, close: async () => {} });
+
+const fakeCollection = (docs) => ({
+  find: (filter) => cursor(docs.filter((doc) => matches(doc, filter))),
+  findOne: async (filter) => docs.find((doc) => matches(doc, filter)) || null,
+  countDocuments: async (filter) => docs.filter((doc) => matches(doc, filter)).length,
+  insertOne: async (doc) => {
+    docs.push(doc);
+    return { acknowledged: true, insertedId: doc._id };
+  },
+  insertMany: async (newDocs) => {
+    docs.push(...newDocs);
+    return { acknowledged: true, insertedCount: newDocs.length };
+  },
+  updateMany: async (filter, update) => {
+    const targets = docs.filter((doc) => matches(doc, filter));
+    targets.forEach((doc) => Object.assign(doc, update.$set || {}));
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length };
+  },
+  bulkWrite: async (ops) => {
+    let modifiedCount = 0;
+    ops.forEach((op) => {
+      if (op.insertOne) docs.push(op.insertOne.document);
+      if (op.updateOne) {
+        const doc = docs.find((d) => matches(d, op.updateOne.filter));
+        if (doc) {
+          Object.assign(doc, op.updateOne.update.$set || {});
+          modifiedCount++;
+        }
+      }
+    });
+    return { acknowledged: true, modifiedCount, insertedCount: 0, matchedCount: modifiedCount };
+  },
+  // Only $match and $limit stages are needed here
+  aggregate: (pipeline) => {
+    let result = docs;
+    pipeline.forEach((stage) => {
+      if (stage.$match) result = result.filter((doc) => matches(doc, stage.$match));
+      if (stage.$limit) result = result.slice(0, stage.$limit);
+    });
+    return cursor(result);
+  }
+});
+
+// Replace the driver methods of Model.collection; everything above it (hooks, casting,
+// defaults) is the real Mongoose code
+const useFakeCollection = (model) => {
+  const docs = [];
+  Object.assign(model.collection, fakeCollection(docs));
+  return docs;
+};
+
+const orgA = new mongoose.Types.ObjectId();
+const orgB = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+let leadDocs;
+let teamDocs;
+
+const createLeads = (organizationId, names) =>
+  runWithTenant(organizationId, () =>
+    Lead.insertMany(names.map((name) => ({ name, status: 'New', createdBy: userId })))
+  );
+
+beforeEach(async () => {
+  leadDocs = useFakeCollection(Lead);
+  teamDocs = useFakeCollection(Team);
+  await createLeads(orgA, ['Alice', 'Arun']);
+  await createLeads(orgB, ['Bob']);
+});
+
+test('insertMany stamps the current organization on every document', () => {
+  assert.deepStrictEqual(
+    leadDocs.map((doc) => [doc.name, String(doc.organizationId)]),
+    [['Alice', String(orgA)], ['Arun', String(orgA)], ['Bob', String(orgB)]]
+  );
+});
+
+test('save stamps the current organization on a new document', async () => {
+  await runWithTenant(orgB, () => new Team({ name: 'North', lead: userId, createdBy: userId }).save());
+  assert.strictEqual(String(teamDocs[0].organizationId), String(orgB));
+});
+
+test('find and countDocuments only see the current organization', async () => {
+  const names = await runWithTenant(orgA, async () => (await Lead.find({})).map((lead) => lead.name));
+  assert.deepStrictEqual(names.sort(), ['Alice', 'Arun']);
+  assert.strictEqual(await runWithTenant(orgB, () => Lead.countDocuments({})), 1);
+});
+
+test('another organization\'s documents cannot be read by id or by naming its organization', async () => {
+  const bob = leadDocs.find((doc) => doc.name === 'Bob');
+  assert.strictEqual(await runWithTenant(orgA, () => Lead.findById(bob._id)), null);
+  assert.strictEqual(await runWithTenant(orgA, () => Lead.countDocuments({ organizationId: orgB })), 0);
+  assert.ok(await runWithTenant(orgB, () => Lead.findById(bob._id)));
+});
+
+test('updates cannot change another organization\'s documents', async () => {
+  await runWithTenant(orgA, () => Lead.updateMany({}, { $set: { notes: 'touched' } }));
+  assert.deepStrictEqual(
+    leadDocs.map((doc) => [doc.name, doc.notes || null]),
+    [['Alice', 'touched'], ['Arun', 'touched'], ['Bob', null]]
+  );
+});
+
+test('aggregate pipelines are limited to the current organization', async () => {
+  const rows = await runWithTenant(orgB, () => Lead.aggregate([{ $limit: 10 }]));
+  assert.deepStrictEqual(rows.map((row) => row.name), ['Bob']);
+
+  const matched = await runWithTenant(orgA, () => Lead.aggregate([{ $match: { name: 'Bob' } }]));
+  assert.deepStrictEqual(matched, []);
+});
+
+test('bulkWrite filters updates and stamps inserts with the current organization', async () => {
+  const bob = leadDocs.find((doc) => doc.name === 'Bob');
+  await runWithTenant(orgA, () => Lead.bulkWrite([
+    { updateOne: { filter: { _id: bob._id }, update: { $set: { notes: 'from A' } } } },
+    { insertOne: { document: { name: 'Anya', status: 'New', createdBy: userId } } }
+  ]));
+
+  assert.notStrictEqual(bob.notes, 'from A');
+  const anya = leadDocs.find((doc) => doc.name === 'Anya');
+  assert.strictEqual(String(anya.organizationId), String(orgA));
+});
+
+test('runWithTenant(null) is explicitly unscoped', async () => {
+  assert.strictEqual(await runWithTenant(null, () => Lead.countDocuments({})), 3);
+});
+
+test('operations outside runWithTenant fail instead of running unscoped', async () => {
+  await assert.rejects(() => Lead.find({}), /outside an organization scope/);
+  await assert.rejects(() => Lead.aggregate([{ $limit: 1 }]), /outside an organization scope/);
+  await assert.rejects(
+    () => Lead.bulkWrite([{ insertOne: { document: { name: 'Zed', createdBy: userId } } }]),
+    /outside an organization scope/
+  );
+  await assert.rejects(() => new Team({ name: 'South', lead: userId, createdBy: userId }).save(), /outside an organization scope/);
+});
+
+test('documents given an organization explicitly can be saved unscoped', async () => {
+  await new Team({ name: 'West', lead: userId, createdBy: userId, organizationId: orgA }).save();
+  assert.strictEqual(String(teamDocs[0].organizationId), String(orgA));
+});
+
+test('scope survives awaits and timers inside runWithTenant', async () => {
+  const count = await runWithTenant(orgA, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    await new Promise((resolve) => setImmediate(resolve));
+    return Lead.countDocuments({});
+  });
+  assert.strictEqual(count, 2);
+});
@@ -0,0 +1,84 @@
+// Validation and coercion of additionalFields values against CustomFieldDefinitions
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Find the definition an additionalFields key or sheet header refers to (its key or label, any case)
+const findDefinition = (definitions, name) => {
+  const value = (name || '').toString().trim().toLowerCase();
+  return definitions.find((definition) =>
+    definition.key.toLowerCase() === value || definition.label.toLowerCase() === value
+  ) || null;
+};
+
+// Convert a raw value to the field's type. Returns { value } (null when empty) or { error }.
+const coerceFieldValue = (definition, raw) => {
+  if (isEmpty(raw)) return { value: null };
+
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(raw.toString().trim().replace(/,/g, ''));
+      return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+    }
+    case 'date': {
+      const date = raw instanceof Date ? raw : new Date(raw.toString().trim());
+      return isNaN(date.getTime()) ? { error: 'must be a date' } : { value: date };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = raw.toString().trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: 'must be yes or no' };
+    }
+    case 'select': {
+      const text = raw.toString().trim().toLowerCase();
+      const option = (definition.options || []).find((o) => o.toLowerCase() === text);
+      return option ? { value: option } : { error: `must be one of: ${definition.options.join(', ')}` };
+    }
+    default:
+      return { value: raw.toString().trim() };
+  }
+};
+
+// Validate and coerce additionalFields. Values of defined fields are stored under the
+// definition key with their type; other keys are kept as they are.
+// Returns { values, errors } where errors are { key, value, reason }.
+const applyCustomFields = (fields, definitions) => {
+  const values = {};
+  const errors = [];
+
+  Object.entries(fields || {}).forEach(([name, raw]) => {
+    const definition = findDefinition(definitions, name);
+    if (!definition) {
+      values[name] = raw;
+      return;
+    }
+
+    const { value, error } = coerceFieldValue(definition, raw);
+    if (error) {
+      errors.push({ key: name, value: raw, reason: `${definition.label} ${error}` });
+    } else if (value !== null) {
+      values[definition.key] = value;
+    }
+  });
+
+  definitions
+    .filter((definition) => definition.required && values[definition.key] === undefined)
+    .forEach((definition) => {
+      if (!errors.some((error) => findDefinition([definition], error.key))) {
+        errors.push({ key: definition.label, value: null, reason: `${definition.label} is required` });
+      }
+    });
+
+  return { values, errors };
+};
+
+module.exports = {
+  findDefinition,
+  coerceFieldValue,
+  applyCustomFields
+};
@@ -0,0 +1,112 @@
+const { maskPhone } = require('./phone');
+
+const PHONE_FIELD = 'phone';
+const ADDITIONAL_PREFIX = 'additionalFields.';
+
+// Response body keys holding a lead or a list of leads
+const LEAD_KEYS = ['lead', 'leads', 'scheduledLeads', 'notConnectedLeads', 'completedLeads'];
+
+// Hide all but the last four characters of a value
+const maskText = (value) => {
+  if (value === undefined || value === null || value === '') return value;
+  const text = value.toString();
+  const visible = text.length > 4 ? text.slice(-4) : '';
+  return '*'.repeat(text.length - visible.length) + visible;
+};
+
+// Fields the user's role only sees masked ("phone" or "additionalFields.<key>")
+const maskedFieldsFor = (user) => (user && user.maskedFields) || [];
+
+// Whether a field (a lead path, export column key or highlight field) is masked.
+// The E.164 number is masked together with the phone.
+const isMaskedField = (maskedFields, field) =>
+  maskedFields.includes(field) || (field === 'phoneNormalized' && maskedFields.includes(PHONE_FIELD));
+
+// Whether a user's role only sees a lead field masked. Such fields cannot be filtered
+// or searched on either, since repeated queries would reveal the value.
+const isMaskedFor = (user, field) => isMaskedField(maskedFieldsFor(user), field);
+
+// Copy of a lead with its masked fields hidden. Leads get phoneMasked: true when
+// their number was masked so clients know to offer a reveal.
+const maskLead = (lead, maskedFields) => {
+  if (!lead || typeof lead !== 'object' || maskedFields.length === 0) return lead;
+
+  const plain = typeof lead.toJSON === 'function' ? lead.toJSON() : { ...lead };
+
+  if (maskedFields.includes(PHONE_FIELD) && (plain.phone || plain.phoneNormalized)) {
+    const masked = maskPhone(plain.phoneNormalized || plain.phone);
+    plain.phone = masked;
+    if (plain.phoneNormalized) plain.phoneNormalized = masked;
+    plain.phoneMasked = true;
+  }
+
+  if (plain.additionalFields && typeof plain.additionalFields === 'object') {
+    const additionalFields = { ...plain.additionalFields };
+    Object.keys(additionalFields).forEach((key) => {
+      if (maskedFields.includes(ADDITIONAL_PREFIX + key)) {
+        additionalFields[key] = maskText(additionalFields[key]);
+      }
+    });
+    plain.additionalFields = additionalFields;
+  }
+
+  return plain;
+};
+
+const maskLeads = (value, maskedFields) =>
+  Array.isArray(value) ? value.map((lead) => maskLead(lead, maskedFields)) : maskLead(value, maskedFields);
+
+// Copy of a lead response body with every lead in it masked for the user
+const maskLeadResponse = (body, user) => {
+  const maskedFields = maskedFieldsFor(user);
+  if (!body || typeof body !== 'object' || maskedFields.length === 0) return body;
+
+  const masked = { ...body };
+
+  LEAD_KEYS.forEach((key) => {
+    if (masked[key]) masked[key] = maskLeads(masked[key], maskedFields);
+  });
+
+  // Search results: highlights of masked fields would show the value they hide
+  if (Array.isArray(masked.results)) {
+    masked.results = masked.results.map((result) => {
+      if (!result || !result.lead) return result;
+      return {
+        ...result,
+        lead: maskLead(result.lead, maskedFields),
+        highlights: (result.highlights || []).filter((item) => !isMaskedField(maskedFields, item.field))
+      };
+    });
+  }
+
+  // Duplicate clusters are keyed by the phone number they share
+  if (Array.isArray(masked.clusters)) {
+    masked.clusters = masked.clusters.map((cluster) => ({
+      ...cluster,
+      key: maskedFields.includes(PHONE_FIELD) ? maskText(cluster.key) : cluster.key,
+      leads: maskLeads(cluster.leads || [], maskedFields)
+    }));
+  }
+
+  return masked;
+};
+
+// Export columns with the values of masked fields hidden
+const maskExportColumns = (columns, user) => {
+  const maskedFields = maskedFieldsFor(user);
+  if (maskedFields.length === 0) return columns;
+
+  return columns.map((column) => {
+    if (!isMaskedField(maskedFields, column.key)) return column;
+    const mask = column.key.startsWith(ADDITIONAL_PREFIX) ? maskText : maskPhone;
+    return { ...column, value: (lead) => mask(column.value(lead)) };
+  });
+};
+
+module.exports = {
+  maskText,
+  isMaskedFor,
+  maskLead,
+  maskLeadResponse,
+  maskExportColumns
+};
@@ -0,0 +1,206 @@
+const { once } = require('events');
+const xlsx = require('xlsx');
+const { findDefinition } = require('./customFields');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+const formatDateTime = (value) => (value ? new Date(value).toISOString() : '');
+
+// Columns that can be exported, by key. Leads are expected to have createdBy and
+// assignedTo populated with the user's name.
+const EXPORT_COLUMNS = {
+  name: { header: 'Name', value: (lead) => lead.name },
+  phone: { header: 'Phone', value: (lead) => lead.phone },
+  phoneNormalized: { header: 'Phone (E.164)', value: (lead) => lead.phoneNormalized || '' },
+  status: { header: 'Status', value: (lead) => lead.status },
+  source: { header: 'Source', value: (lead) => lead.source },
+  notes: { header: 'Notes', value: (lead) => lead.notes },
+  points: { header: 'Important Points', value: (lead) => lead.points || '' },
+  tags: { header: 'Tags', value: (lead) => (lead.tags || []).join(', ') },
+  createdBy: { header: 'Uploaded By', value: (lead) => (lead.createdBy ? lead.createdBy.name : 'Unknown') },
+  assignedTo: { header: 'Assigned To', value: (lead) => (lead.assignedTo ? lead.assignedTo.name : '') },
+  createdAt: { header: 'Created Date', value: (lead) => formatDate(lead.createdAt) },
+  updatedAt: { header: 'Last Updated', value: (lead) => formatDate(lead.updatedAt) },
+  lastContacted: { header: 'Last Contacted', value: (lead) => formatDateTime(lead.lastContacted) },
+  callCompleted: { header: 'Call Completed', value: (lead) => (lead.callCompleted ? 'Yes' : 'No') },
+  scheduledAt: { header: 'Scheduled At', value: (lead) => formatDateTime(lead.scheduledAt) }
+};
+
+// Columns exported when none are chosen; every additionalFields key is added after them
+const DEFAULT_EXPORT_COLUMNS = ['name', 'phone', 'status', 'notes', 'points', 'createdBy', 'assignedTo', 'createdAt', 'updatedAt'];
+
+// Column keys of the form "additionalFields.<key>" export one additional field
+const ADDITIONAL_PREFIX = 'additionalFields.';
+
+const EXPORT_FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Formats written row by row while reading a cursor; XLSX has to be built in memory
+const STREAMING_FORMATS = ['csv', 'json'];
+
+// Most leads in one XLSX export; larger exports have to use a streaming format
+const MAX_XLSX_ROWS = 50000;
+
+// Column for one additionalFields key. A custom field definition supplies the header
+// and how typed values are written.
+const additionalColumn = (key, definitions = []) => {
+  const definition = findDefinition(definitions, key);
+  return {
+    key: ADDITIONAL_PREFIX + key,
+    header: definition ? definition.label : key,
+    value: (lead) => {
+      const value = lead.additionalFields ? lead.additionalFields[definition ? definition.key : key] : undefined;
+      if (value === undefined || value === null) return '';
+      if (definition && definition.type === 'date') return formatDate(value);
+      if (definition && definition.type === 'boolean') return value ? 'Yes' : 'No';
+      return value;
+    }
+  };
+};
+
+// Read the comma-separated "columns" param into column definitions.
+// Returns { columns, allAdditionalFields } or { error }; with no param the default columns
+// are used and every additional field should be appended.
+const parseExportColumns = (param, definitions = []) => {
+  if (!param) {
+    return {
+      columns: DEFAULT_EXPORT_COLUMNS.map((key) => ({ key, ...EXPORT_COLUMNS[key] })),
+      allAdditionalFields: true
+    };
+  }
+
+  const keys = (Array.isArray(param) ? param : param.toString().split(','))
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+  const columns = [];
+  for (const key of keys) {
+    if (key.startsWith(ADDITIONAL_PREFIX) && key.length > ADDITIONAL_PREFIX.length) {
+      columns.push(additionalColumn(key.slice(ADDITIONAL_PREFIX.length), definitions));
+    } else if (Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, key)) {
+      columns.push({ key, ...EXPORT_COLUMNS[key] });
+    } else {
+      return {
+        error: `Invalid column "${key}". Must be one of: ${Object.keys(EXPORT_COLUMNS).join(', ')} or ${ADDITIONAL_PREFIX}<field>`
+      };
+    }
+  }
+
+  if (columns.length === 0) {
+    return { error: 'At least one column is required' };
+  }
+
+  return { columns, allAdditionalFields: false };
+};
+
+// Columns for every additionalFields key present in the given leads, in first-seen order
+const additionalColumnsFor = (leads, definitions = []) => {
+  const keys = new Set();
+  leads.forEach((lead) => {
+    if (lead.additionalFields && typeof lead.additionalFields === 'object') {
+      Object.keys(lead.additionalFields).forEach((key) => keys.add(key));
+    }
+  });
+  return [...keys].map((key) => additionalColumn(key, definitions));
+};
+
+// Columns for a known list of additionalFields keys
+const additionalColumnsForKeys = (keys, definitions = []) => keys.map((key) => additionalColumn(key, definitions));
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvCell).join(',') + '\n';
+
+// Number of leads written per chunk when streaming
+const STREAM_CHUNK_SIZE = 500;
+
+// Write leads from a cursor (any async iterable) to a writable stream as CSV or JSON,
+// one chunk at a time, waiting for the stream to drain so memory use stays bounded.
+// Stops early when the client goes away.
+const streamExport = async (cursor, columns, format, output) => {
+  let closed = false;
+  output.on('close', () => {
+    closed = true;
+  });
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) {
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+  };
+
+  const formatLead = format === 'json'
+    ? (lead, first) => {
+        const row = {};
+        columns.forEach((column) => {
+          row[column.key] = column.value(lead);
+        });
+        return (first ? '\n  ' : ',\n  ') + JSON.stringify(row);
+      }
+    : (lead) => csvLine(columns.map((column) => column.value(lead)));
+
+  await write(format === 'json' ? '[' : csvLine(columns.map((column) => column.header)));
+
+  let count = 0;
+  let chunk = '';
+  for await (const lead of cursor) {
+    if (closed) break;
+    chunk += formatLead(lead, count === 0);
+    count += 1;
+    if (count % STREAM_CHUNK_SIZE === 0) {
+      await write(chunk);
+      chunk = '';
+    }
+  }
+
+  if (!closed) {
+    await write(chunk + (format === 'json' ? (count > 0 ? '\n]\n' : ']\n') : ''));
+    output.end();
+  }
+  return count;
+};
+
+// Build the export file for the given leads and columns
+const buildExportFile = (leads, columns, format) => {
+  if (format === 'json') {
+    const rows = leads.map((lead) => {
+      const row = {};
+      columns.forEach((column) => {
+        row[column.key] = column.value(lead);
+      });
+      return row;
+    });
+    return Buffer.from(JSON.stringify(rows, null, 2));
+  }
+
+  const sheet = xlsx.utils.aoa_to_sheet([
+    columns.map((column) => column.header),
+    ...leads.map((lead) => columns.map((column) => column.value(lead)))
+  ]);
+
+  if (format === 'csv') {
+    return Buffer.from(xlsx.utils.sheet_to_csv(sheet));
+  }
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, sheet, 'Leads');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  STREAMING_FORMATS,
+  MAX_XLSX_ROWS,
+  parseExportColumns,
+  additionalColumnsFor,
+  additionalColumnsForKeys,
+  buildExportFile,
+  streamExport
+};
@@ -0,0 +1,241 @@
+const xlsx = require('xlsx');
+const { phoneFields } = require('./phone');
+
+// Lead fields a sheet column can be mapped to
+const LEAD_FIELDS = ['name', 'phone', 'status', 'source', 'notes', 'points'];
+
+// Other mapping targets: keep the column in additionalFields under its header, or drop it
+const ADDITIONAL_FIELD = 'additionalFields';
+const IGNORE_FIELD = 'ignore';
+
+// Column added to error reports; ignored when a fixed report is uploaded again
+const ERROR_COLUMN = 'Error';
+
+// Header names (lowercased) recognised automatically
+const HEADER_MAPPING = {
+  name: 'name',
+  'full name': 'name',
+  'first name': 'name',
+  'last name': 'name',
+  'contact name': 'name',
+
+  phone: 'phone',
+  'phone number': 'phone',
+  mobile: 'phone',
+  telephone: 'phone',
+
+  status: 'status',
+  'lead status': 'status',
+
+  source: 'source',
+  'lead source': 'source',
+  'source type': 'source',
+
+  notes: 'notes',
+  note: 'notes',
+  comments: 'notes',
+  description: 'notes',
+  points: 'points',
+  'important points': 'points',
+  'key points': 'points'
+};
+
+// Read the first sheet of an Excel/CSV buffer into a header row and data rows.
+// Throws when the buffer is not a readable spreadsheet.
+const parseSheet = (buffer) => {
+  const workbook = xlsx.read(buffer, {
+    type: 'buffer',
+    cellDates: true,
+    cellNF: false,
+    cellText: false
+  });
+
+  if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+    throw new Error('No sheets found in the file');
+  }
+
+  const sheetName = workbook.SheetNames[0];
+  const rows = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+
+  const headers = (rows[0] || []).map((header) =>
+    header ? header.toString().trim() : ''
+  );
+
+  return { sheetName, headers, dataRows: rows.slice(1) };
+};
+
+// Suggest a target for every column from its header. When several columns match the
+// same lead field the last one wins and the others are ignored; unknown headers go
+// to additionalFields.
+const suggestMapping = (headers) => {
+  const lastColumnForField = {};
+  headers.forEach((header, index) => {
+    const field = HEADER_MAPPING[header.toLowerCase()];
+    if (field) lastColumnForField[field] = index;
+  });
+
+  return headers.map((header, index) => {
+    if (!header || header.toLowerCase() === ERROR_COLUMN.toLowerCase()) {
+      return { column: index, header, field: IGNORE_FIELD };
+    }
+
+    const field = HEADER_MAPPING[header.toLowerCase()];
+    if (field) {
+      return { column: index, header, field: lastColumnForField[field] === index ? field : IGNORE_FIELD };
+    }
+    return { column: index, header, field: ADDITIONAL_FIELD };
+  });
+};
+
+// Turn an explicit { header: field } mapping into per-column targets.
+// Headers are matched ignoring case, like headerSignature, so a saved template applies
+// to a sheet whose headers only differ in case. Headers missing from the mapping are ignored.
+const applyMapping = (headers, mapping) => {
+  const fieldsByHeader = new Map(
+    Object.entries(mapping).map(([header, field]) => [header.trim().toLowerCase(), field])
+  );
+
+  return headers.map((header, index) => ({
+    column: index,
+    header,
+    field: (header && fieldsByHeader.get(header.toLowerCase())) || IGNORE_FIELD
+  }));
+};
+
+// Check a column mapping; returns an error message or null
+const validateMapping = (columns) => {
+  const allowed = [...LEAD_FIELDS, ADDITIONAL_FIELD, IGNORE_FIELD];
+  const invalid = columns.find((column) => !allowed.includes(column.field));
+  if (invalid) {
+    return `Invalid field "${invalid.field}" for column "${invalid.header}". Must be one of: ${allowed.join(', ')}`;
+  }
+
+  const seen = new Set();
+  for (const column of columns) {
+    if (!LEAD_FIELDS.includes(column.field)) continue;
+    if (seen.has(column.field)) {
+      return `Field "${column.field}" is mapped to more than one column`;
+    }
+    seen.add(column.field);
+  }
+
+  if (!seen.has('name')) {
+    return 'A column must be mapped to "name"';
+  }
+
+  return null;
+};
+
+// Signature of a sheet layout: its non-empty headers, lowercased and sorted, so the
+// same vendor sheet is recognised even when columns are reordered
+const headerSignature = (headers) =>
+  [...new Set(
+    headers
+      .filter((header) => header && header.toLowerCase() !== ERROR_COLUMN.toLowerCase())
+      .map((header) => header.toLowerCase())
+  )].sort().join('|');
+
+// Mapping as a plain { header: field } object, as accepted by the upload endpoint
+const mappingToObject = (columns) => {
+  const mapping = {};
+  columns.forEach((column) => {
+    if (column.header) mapping[column.header] = column.field;
+  });
+  return mapping;
+};
+
+const cellText = (row, index) =>
+  index !== undefined && row[index] !== undefined && row[index] !== null
+    ? row[index].toString().trim()
+    : '';
+
+// Build lead fields from one data row. Status is returned as written in the sheet
+// (empty when missing) so the caller can resolve it against the pipeline stages.
+const buildLeadFromRow = (row, columns, defaults = {}) => {
+  const indexes = {};
+  columns.forEach((column) => {
+    if (LEAD_FIELDS.includes(column.field)) indexes[column.field] = column.column;
+  });
+
+  const lead = {
+    name: cellText(row, indexes.name),
+    ...phoneFields(indexes.phone !== undefined ? row[indexes.phone] : ''),
+    status: cellText(row, indexes.status),
+    source: cellText(row, indexes.source) || defaults.source || 'Import',
+    notes: cellText(row, indexes.notes),
+    points: cellText(row, indexes.points),
+    additionalFields: {}
+  };
+
+  // Only store non-empty values
+  columns.forEach((column) => {
+    if (column.field !== ADDITIONAL_FIELD) return;
+    const value = cellText(row, column.column);
+    if (value) lead.additionalFields[column.header] = value;
+  });
+
+  return lead;
+};
+
+// Check a lead built from a row against the Lead model limits.
+// Returns a list of { column, value, reason } problems (empty when the row is valid).
+const validateLeadRow = (lead, columns) => {
+  const headerFor = (field) => {
+    const column = columns.find((c) => c.field === field);
+    return column ? column.header : field;
+  };
+  const problems = [];
+
+  if (!lead.name || lead.name.length < 2) {
+    problems.push({ column: headerFor('name'), value: lead.name, reason: 'Name is required and must be at least 2 characters' });
+  } else if (lead.name.length > 100) {
+    problems.push({ column: headerFor('name'), value: lead.name, reason: 'Name cannot exceed 100 characters' });
+  }
+
+  if (lead.source && lead.source.length > 50) {
+    problems.push({ column: headerFor('source'), value: lead.source, reason: 'Source cannot exceed 50 characters' });
+  }
+
+  return problems;
+};
+
+// Build an XLSX with the rejected rows in the original layout plus an "Error" column
+const buildErrorReportWorkbook = (report) => {
+  const sheetRows = [
+    [...report.headers, ERROR_COLUMN],
+    ...report.rows.map((row) => {
+      const values = report.headers.map((header, index) =>
+        row.values[index] === undefined ? null : row.values[index]
+      );
+      return [...values, row.issues.map((issue) => issue.reason).join('; ')];
+    })
+  ];
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(sheetRows), report.sheetName || 'Sheet1');
+
+  // Explain a cut-short report on a second sheet; uploads only read the first one
+  if (report.totalRows > report.rows.length) {
+    const note = `Only the first ${report.rows.length} of ${report.totalRows} rejected rows are included. ` +
+      'Fix and re-upload these, then import again to see the remaining errors.';
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([[note]]), report.sheetName === 'Note' ? 'Import note' : 'Note');
+  }
+
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  LEAD_FIELDS,
+  ADDITIONAL_FIELD,
+  IGNORE_FIELD,
+  HEADER_MAPPING,
+  parseSheet,
+  suggestMapping,
+  applyMapping,
+  validateMapping,
+  headerSignature,
+  mappingToObject,
+  buildLeadFromRow,
+  validateLeadRow,
+  buildErrorReportWorkbook
+};
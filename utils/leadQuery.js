@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const { phoneSearchPattern } = require('./phone');
+const { findDefinition, coerceFieldValue } = require('./customFields');
+const { hasPermission } = require('./permissions');
+const { isMaskedFor } = require('./fieldMasking');
+
+// Query params of the form "additionalFields.<key>" filter on a defined custom field
+const ADDITIONAL_PREFIX = 'additionalFields.';
+
+// List query params that are filters (as opposed to paging and sorting), e.g. for saved views.
+// additionalFields.<key> params are filters too.
+const LIST_FILTER_PARAMS = ['status', 'search', 'assignedTo', 'from', 'to', 'callState', 'filter'];
+
+// Call states a lead list can be filtered by, matching the call pages
+const CALL_STATES = {
+  pending: { callCompleted: false, scheduledAt: null, notConnectedAt: null },
+  scheduled: { scheduledAt: { $ne: null } },
+  notConnected: { notConnectedAt: { $ne: null } },
+  completed: { callCompleted: true }
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Relative dates such as "now", "now-3d" or "now+12h" (h = hours, d = days, w = weeks),
+// so saved filters like "not contacted in 3 days" stay current
+const RELATIVE_DATE = /^now(?:([+-])(\d+)([hdw]))?$/i;
+const UNIT_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const parseDate = (value) => {
+  const relative = RELATIVE_DATE.exec(value.toString().trim());
+  if (relative) {
+    const offset = relative[1] ? Number(relative[2]) * UNIT_MS[relative[3].toLowerCase()] : 0;
+    return new Date(Date.now() + (relative[1] === '-' ? -offset : offset));
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// User id param values: a user id, or "me" for the current user
+const parseUserId = (value, user) => {
+  if (value === 'me') return user._id;
+  return mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value.toString()) : null;
+};
+
+// Lead fields the structured "filter" param may use, with the type of their values.
+// Anything else is rejected, so clients cannot reach fields or operators we do not expose.
+const FILTER_FIELDS = {
+  name: 'text',
+  phone: 'text',
+  status: 'text',
+  source: 'text',
+  notes: 'text',
+  points: 'text',
+  tags: 'text',
+  assignedTo: 'objectId',
+  createdBy: 'objectId',
+  createdAt: 'date',
+  updatedAt: 'date',
+  lastContacted: 'date',
+  scheduledAt: 'date',
+  notConnectedAt: 'date',
+  callCompleted: 'boolean',
+  callCompletedAt: 'date',
+  phoneValid: 'boolean'
+};
+
+// Operators of the structured filter and the value types they apply to
+const FILTER_OPERATORS = {
+  eq: null,
+  ne: null,
+  in: null,
+  contains: ['text', 'select'],
+  gt: ['number', 'date'],
+  gte: ['number', 'date'],
+  lt: ['number', 'date'],
+  lte: ['number', 'date'],
+  between: ['number', 'date'],
+  exists: null
+};
+
+const MAX_FILTER_CONDITIONS = 20;
+const MAX_IN_VALUES = 100;
+
+// Convert one filter value to the field type. Returns { value } or { error }.
+const coerceFilterValue = (field, value, user) => {
+  if (value === null) return { value: null };
+  if (typeof value === 'object') {
+    return { error: `Invalid value for "${field.path}"` };
+  }
+
+  switch (field.type) {
+    case 'objectId': {
+      const userId = parseUserId(value, user);
+      return userId ? { value: userId } : { error: `"${field.path}" must be a user ID or "me"` };
+    }
+    case 'date': {
+      const date = parseDate(value);
+      return date ? { value: date } : { error: `"${field.path}" must be a date` };
+    }
+    case 'text':
+      return { value: value.toString() };
+    default: {
+      const { value: coerced, error } = coerceFieldValue({ type: field.type, options: field.options, label: field.path }, value);
+      return error ? { error: `"${field.path}" ${error}` } : { value: coerced };
+    }
+  }
+};
+
+// Resolve a filter field name to { path, type, options }, or null when it is not allowed
+const resolveFilterField = (name, customFields) => {
+  if (has(FILTER_FIELDS, name)) {
+    return { path: name, type: FILTER_FIELDS[name] };
+  }
+
+  if (name.startsWith(ADDITIONAL_PREFIX)) {
+    const key = name.slice(ADDITIONAL_PREFIX.length);
+    if (!key || key.includes('.') || key.startsWith('$')) return null;
+
+    // Defined fields are typed; other keys hold the text they were uploaded with
+    const definition = findDefinition(customFields, key);
+    return definition
+      ? { path: ADDITIONAL_PREFIX + definition.key, type: definition.type, options: definition.options }
+      : { path: name, type: 'text' };
+  }
+
+  return null;
+};
+
+// Translate one operator and value into a Mongo condition for the field
+const buildCondition = (field, op, raw, user) => {
+  if (!has(FILTER_OPERATORS, op)) {
+    return { error: `Invalid operator "${op}". Must be one of: ${Object.keys(FILTER_OPERATORS).join(', ')}` };
+  }
+  const allowedTypes = FILTER_OPERATORS[op];
+  if (allowedTypes && !allowedTypes.includes(field.type)) {
+    return { error: `Operator "${op}" cannot be used on "${field.path}"` };
+  }
+
+  if (op === 'exists') {
+    if (typeof raw !== 'boolean') return { error: `"exists" on "${field.path}" must be true or false` };
+    return { condition: { [field.path]: raw ? { $nin: [null, ''] } : { $in: [null, ''] } } };
+  }
+
+  if (op === 'in' || op === 'between') {
+    if (!Array.isArray(raw) || (op === 'between' && raw.length !== 2) || raw.length > MAX_IN_VALUES) {
+      return {
+        error: op === 'between'
+          ? `"between" on "${field.path}" needs [from, to]`
+          : `"in" on "${field.path}" needs a list of up to ${MAX_IN_VALUES} values`
+      };
+    }
+    const values = [];
+    for (const item of raw) {
+      const { value, error } = coerceFilterValue(field, item, user);
+      if (error) return { error };
+      values.push(value);
+    }
+    return {
+      condition: op === 'in'
+        ? { [field.path]: { $in: values } }
+        : { [field.path]: { $gte: values[0], $lte: values[1] } }
+    };
+  }
+
+  if (op === 'contains') {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      return { error: `"contains" on "${field.path}" needs a text value` };
+    }
+    return { condition: { [field.path]: { $regex: escapeRegex(raw.toString()), $options: 'i' } } };
+  }
+
+  const { value, error } = coerceFilterValue(field, raw, user);
+  if (error) return { error };
+
+  switch (op) {
+    case 'eq':
+      return { condition: { [field.path]: value } };
+    case 'ne':
+      return { condition: { [field.path]: { $ne: value } } };
+    default:
+      return { condition: { [field.path]: { [`$${op}`]: value } } };
+  }
+};
+
+// Parse the structured "filter" param: a JSON object of { field: { operator: value } }, e.g.
+//   {"source":{"in":["Web","Referral"]},"createdAt":{"between":["2024-01-01","2024-02-01"]},
+//    "additionalFields.budget":{"gt":1000},"lastContacted":{"lt":"now-3d"},"assignedTo":{"eq":"me"}}
+// Returns { conditions } (to be AND-ed) or { error }.
+const parseStructuredFilter = (param, customFields = [], user = null) => {
+  let spec = param;
+  if (typeof param === 'string') {
+    try {
+      spec = JSON.parse(param);
+    } catch (error) {
+      return { error: 'filter must be valid JSON' };
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { error: 'filter must be an object of { field: { operator: value } }' };
+  }
+
+  const conditions = [];
+  for (const [name, ops] of Object.entries(spec)) {
+    const field = resolveFilterField(name, customFields);
+    if (!field || isMaskedFor(user, field.path)) {
+      return { error: `Cannot filter on "${name}"` };
+    }
+    if (!ops || typeof ops !== 'object' || Array.isArray(ops)) {
+      return { error: `Filter for "${name}" must be an object of { operator: value }` };
+    }
+
+    for (const [op, value] of Object.entries(ops)) {
+      const { condition, error } = buildCondition(field, op, value, user);
+      if (error) return { error };
+      conditions.push(condition);
+    }
+  }
+
+  if (conditions.length > MAX_FILTER_CONDITIONS) {
+    return { error: `filter cannot have more than ${MAX_FILTER_CONDITIONS} conditions` };
+  }
+
+  return { conditions };
+};
+
+// Users whose leads a user works with: themselves plus the members of the teams they lead
+// (teamMemberIds is loaded by the auth middleware)
+const scopeUserIds = (user) => [user._id, ...(user.teamMemberIds || [])];
+
+// Condition limiting leads to the ones a user may see, or null when their role can see every lead.
+// Users see the leads they created or are assigned to; team leads also see their members' leads.
+const visibilityCondition = (user) => {
+  if (hasPermission(user, 'leads.viewAll')) return null;
+
+  const ids = scopeUserIds(user);
+  if (ids.length === 1) {
+    return { $or: [{ createdBy: user._id }, { assignedTo: user._id }] };
+  }
+  return { $or: [{ createdBy: { $in: ids } }, { assignedTo: { $in: ids } }] };
+};
+
+// Whether a user may see one lead (given with createdBy and assignedTo); the in-memory
+// form of visibilityCondition
+const canSeeLead = (user, lead) => {
+  if (hasPermission(user, 'leads.viewAll')) return true;
+
+  const ids = scopeUserIds(user).map(String);
+  return [lead.createdBy, lead.assignedTo].some((userId) => userId && ids.includes(String(userId._id || userId)));
+};
+
+// Build the Lead filter shared by the list and export endpoints from query params:
+// status, search, assignedTo (user id, "me" or "unassigned"), from/to (created date), callState,
+// additionalFields.<key> for fields that have a custom field definition and the
+// structured "filter" param (see parseStructuredFilter).
+// Leads are always limited to the user's visibility scope (see visibilityCondition).
+// Returns { filter } or { error }.
+const buildLeadFilter = (params, user, customFields = []) => {
+  const filter = { isActive: true };
+  const and = [];
+
+  const visibility = visibilityCondition(user);
+  if (visibility) {
+    and.push(visibility);
+  }
+
+  if (params.status) {
+    filter.status = params.status;
+  }
+
+  if (params.search) {
+    const search = params.search;
+    const searchCondition = [
+      { name: { $regex: search, $options: 'i' } },
+      { notes: { $regex: search, $options: 'i' } }
+    ];
+
+    // Match phone numbers regardless of how they were formatted, unless the user only
+    // sees them masked
+    if (!isMaskedFor(user, 'phone')) {
+      searchCondition.push({ phone: { $regex: search, $options: 'i' } });
+      const phonePattern = phoneSearchPattern(search);
+      if (phonePattern) {
+        searchCondition.push({ phoneNormalized: { $regex: phonePattern } });
+      }
+    }
+    and.push({ $or: searchCondition });
+  }
+
+  if (params.assignedTo) {
+    if (params.assignedTo === 'unassigned') {
+      filter.assignedTo = null;
+    } else {
+      const assignedTo = parseUserId(params.assignedTo, user);
+      if (!assignedTo) return { error: 'Invalid assignedTo user ID' };
+      filter.assignedTo = assignedTo;
+    }
+  }
+
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) {
+      const from = parseDate(params.from);
+      if (!from) return { error: 'Invalid "from" date' };
+      filter.createdAt.$gte = from;
+    }
+    if (params.to) {
+      const to = parseDate(params.to);
+      if (!to) return { error: 'Invalid "to" date' };
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  if (params.callState) {
+    const callState = has(CALL_STATES, params.callState) ? CALL_STATES[params.callState] : null;
+    if (!callState) {
+      return { error: 'Invalid callState. Must be one of: ' + Object.keys(CALL_STATES).join(', ') };
+    }
+    and.push(callState);
+  }
+
+  for (const [param, raw] of Object.entries(params)) {
+    if (!param.startsWith(ADDITIONAL_PREFIX)) continue;
+
+    // Only defined fields can be filtered, with the value typed like the stored values
+    const definition = findDefinition(customFields, param.slice(ADDITIONAL_PREFIX.length));
+    if (!definition) {
+      return { error: `Unknown custom field "${param.slice(ADDITIONAL_PREFIX.length)}"` };
+    }
+    if (isMaskedFor(user, ADDITIONAL_PREFIX + definition.key)) {
+      return { error: `Cannot filter on "${param}"` };
+    }
+
+    const { value, error } = coerceFieldValue(definition, Array.isArray(raw) ? raw[0] : raw);
+    if (error) {
+      return { error: `${definition.label} ${error}` };
+    }
+
+    const path = ADDITIONAL_PREFIX + definition.key;
+    if (value === null) {
+      filter[path] = { $exists: false };
+    } else if (definition.type === 'text') {
+      filter[path] = { $regex: `^${escapeRegex(value)}$`, $options: 'i' };
+    } else {
+      filter[path] = value;
+    }
+  }
+
+  if (params.filter) {
+    const { conditions, error } = parseStructuredFilter(params.filter, customFields, user);
+    if (error) return { error };
+    and.push(...conditions);
+  }
+
+  if (and.length > 0) {
+    filter.$and = and;
+  }
+
+  return { filter };
+};
+
+module.exports = {
+  ADDITIONAL_PREFIX,
+  LIST_FILTER_PARAMS,
+  CALL_STATES,
+  FILTER_FIELDS,
+  FILTER_OPERATORS,
+  parseStructuredFilter,
+  scopeUserIds,
+  visibilityCondition,
+  canSeeLead,
+  buildLeadFilter
+};
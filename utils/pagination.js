@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Page size used when none is given, and the most a client may ask for
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Fields lead lists can be sorted by
+const SORT_FIELDS = ['createdAt', 'name', 'status', 'lastContacted', 'scheduledAt', 'updatedAt'];
+const DEFAULT_SORT = { field: 'createdAt', direction: -1 };
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Read the "limit" param, capped at MAX_PAGE_SIZE
+const parseLimit = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Read the "sort" param: a field name, prefixed with "-" for descending (e.g. "-lastContacted").
+// Returns { sort } or { error }.
+const parseSort = (value) => {
+  if (!value) return { sort: DEFAULT_SORT };
+
+  const text = value.toString().trim();
+  const direction = text.startsWith('-') ? -1 : 1;
+  const field = text.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    return { error: 'Invalid sort. Must be one of: ' + SORT_FIELDS.join(', ') + ' (prefix with "-" for descending)' };
+  }
+  return { sort: { field, direction } };
+};
+
+// Mongo sort for a parsed sort, with _id as tie-breaker so the order is stable
+const sortSpec = (sort) => ({ [sort.field]: sort.direction, _id: sort.direction });
+
+// Opaque cursor pointing after the given document in the given sort
+const encodeCursor = (doc, sort) => {
+  const value = doc[sort.field];
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    v: value instanceof Date ? value.toISOString() : value === undefined ? null : value,
+    t: value instanceof Date ? 'date' : undefined,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor; it must have been issued for the same sort. Returns { cursor } or { error }.
+const decodeCursor = (value, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(value.toString(), 'base64url').toString());
+    if (
+      !payload ||
+      payload.f !== sort.field ||
+      payload.d !== sort.direction ||
+      !has(payload, 'v') ||
+      !mongoose.Types.ObjectId.isValid(payload.id) ||
+      (payload.v !== null && typeof payload.v === 'object')
+    ) {
+      return { error: 'Invalid cursor for this sort' };
+    }
+
+    let cursorValue = payload.v;
+    if (payload.t === 'date') {
+      cursorValue = new Date(payload.v);
+      if (isNaN(cursorValue.getTime())) return { error: 'Invalid cursor' };
+    }
+    return { cursor: { value: cursorValue, id: new mongoose.Types.ObjectId(payload.id) } };
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+};
+
+// Condition selecting the documents after the cursor. Mongo sorts null (and missing)
+// values first in ascending order and last in descending order.
+const cursorCondition = (cursor, sort) => {
+  const { field, direction } = sort;
+  const { value, id } = cursor;
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const beyond = direction === 1 ? { $gt: value } : { $lt: value };
+  const branches = [{ [field]: beyond }, { [field]: value, ...idAfter }];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  parseLimit,
+  parseSort,
+  sortSpec,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+};
@@ -0,0 +1,7 @@
+// Whether a user's role grants a permission (permissions are loaded by the auth middleware)
+const hasPermission = (user, permission) =>
+  !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+
+module.exports = {
+  hasPermission
+};
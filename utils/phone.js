@@ -0,0 +1,78 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// Country assumed for numbers written without an international prefix
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+// Turn whatever a spreadsheet cell produced into a plain phone string.
+// Excel often stores phone columns as numbers, which come out as 9876543210,
+// "9876543210.0" or "9.87654321E+09".
+const cleanPhone = (value) => {
+  if (value === undefined || value === null) return '';
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value).toString() : '';
+  }
+
+  const text = value.toString().trim();
+  if (/^\d+\.0+$/.test(text)) {
+    return text.replace(/\.0+$/, '');
+  }
+  if (/^\d+(\.\d+)?e\+?\d+$/i.test(text)) {
+    return Math.round(Number(text)).toString();
+  }
+
+  return text;
+};
+
+// Normalize a phone number to E.164. Returns the cleaned raw value alongside
+// the normalized number (null when it cannot be parsed) and whether it is valid.
+const normalizePhone = (value, country = DEFAULT_COUNTRY) => {
+  const raw = cleanPhone(value);
+  if (!raw) {
+    return { raw: '', normalized: null, isValid: null };
+  }
+
+  const parsed = parsePhoneNumberFromString(raw, country);
+  if (!parsed || !parsed.isValid()) {
+    return { raw, normalized: null, isValid: false };
+  }
+
+  return { raw, normalized: parsed.number, isValid: true };
+};
+
+// Lead fields derived from a phone value
+const phoneFields = (value, country) => {
+  const { raw, normalized, isValid } = normalizePhone(value, country);
+  return { phone: raw, phoneNormalized: normalized, phoneValid: isValid };
+};
+
+// Regex source matching the digits of a search term inside normalized numbers,
+// so "98765 43210", "098765-43210" and "+91 98765 43210" all find the same lead.
+// Returns null when the term does not contain enough digits to be a phone search.
+const phoneSearchPattern = (search) => {
+  const digits = (search || '').toString().replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length >= 3 ? digits : null;
+};
+
+// Hide all but the country calling code and the last four digits of a number,
+// e.g. "+919876543210" becomes "+91******3210" and "+353861234567" "+353*****4567".
+// Numbers that are not in international form only keep their last four digits.
+const maskPhone = (value) => {
+  const text = (value || '').toString().replace(/[^\d+]/g, '');
+  if (!text) return '';
+
+  const parsed = text.startsWith('+') ? parsePhoneNumberFromString(text) : undefined;
+  const prefix = parsed ? `+${parsed.countryCallingCode}` : '';
+  const rest = parsed ? parsed.nationalNumber : text.replace(/\D/g, '');
+  const visible = rest.length > 4 ? rest.slice(-4) : '';
+  return prefix + '*'.repeat(rest.length - visible.length) + visible;
+};
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  cleanPhone,
+  normalizePhone,
+  phoneFields,
+  phoneSearchPattern,
+  maskPhone
+};
@@ -0,0 +1,115 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Organization of the request being handled, set by the auth middleware
+const storage = new AsyncLocalStorage();
+
+// Run fn with every query on a tenant model scoped to one organization.
+// Passing null runs fn unscoped (login, startup jobs, scripts). Returns a promise;
+// a query returned by fn is executed inside the scope, not when it is awaited.
+const runWithTenant = (organizationId, fn) =>
+  storage.run({ organizationId: organizationId || null }, async () => fn());
+
+// Organization the current code runs in: an id, null when explicitly unscoped,
+// or undefined outside runWithTenant altogether
+const currentTenant = () => {
+  const store = storage.getStore();
+  return store ? store.organizationId : undefined;
+};
+
+// Organization to scope a tenant model operation to. Fails closed: an operation outside
+// runWithTenant means the context was lost (e.g. by middleware that breaks async
+// context), and running it unscoped would read or write every organization's data.
+const requireTenant = (modelName) => {
+  const store = storage.getStore();
+  if (!store) {
+    throw new Error(`${modelName} used outside an organization scope; use runWithTenant(null, ...) for unscoped work`);
+  }
+  return store.organizationId;
+};
+
+// Filter restricted to one organization. Added with $and so a filter naming another
+// organization matches nothing instead of being rewritten.
+const withOrganization = (filter, organizationId) => ({
+  ...filter,
+  $and: [...((filter && filter.$and) || []), { organizationId }]
+});
+
+// Query operations that take a filter; the organization is added to each of them
+const SCOPED_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+  'deleteMany',
+  'deleteOne'
+];
+
+// Schema plugin for models that belong to an organization. Inside runWithTenant:
+//   - new documents get the current organizationId
+//   - queries, aggregates and bulk writes only see and change that organization's documents
+// Outside runWithTenant every operation throws.
+const tenantScope = (schema) => {
+  schema.add({
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: () => currentTenant() || null,
+      immutable: true,
+      index: true
+    }
+  });
+
+  // Covers save and insertMany; documents given an organization explicitly may be
+  // written unscoped
+  schema.pre('validate', function() {
+    if (this.organizationId) return;
+    const organizationId = requireTenant(this.constructor.modelName);
+    if (organizationId) this.organizationId = organizationId;
+  });
+
+  schema.pre(SCOPED_QUERIES, { document: false, query: true }, function() {
+    const organizationId = requireTenant(this.model.modelName);
+    if (organizationId) this.and([{ organizationId }]);
+  });
+
+  schema.pre('aggregate', function() {
+    const organizationId = requireTenant(this.model().modelName);
+    if (!organizationId) return;
+
+    // A $text match has to stay in the first stage, so merge into an existing $match
+    const pipeline = this.pipeline();
+    if (pipeline.length > 0 && pipeline[0].$match) {
+      pipeline[0] = { $match: withOrganization(pipeline[0].$match, organizationId) };
+    } else {
+      pipeline.unshift({ $match: { organizationId } });
+    }
+  });
+
+  schema.pre('bulkWrite', function(next, ops) {
+    const organizationId = requireTenant(this.modelName);
+    if (organizationId) {
+      ops.forEach((op) => {
+        const [type] = Object.keys(op);
+        if (type === 'insertOne') {
+          op.insertOne.document.organizationId = organizationId;
+        } else {
+          op[type].filter = withOrganization(op[type].filter, organizationId);
+        }
+      });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  runWithTenant,
+  currentTenant,
+  tenantScope
+};
@@ -0,0 +1,71 @@
+// Helpers for full-text lead search: the terms of a query and highlighted snippets
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+// Words and quoted phrases of a search query, without negated terms ("-word")
+const searchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) terms.push(term.toLowerCase());
+  }
+  return [...new Set(terms)];
+};
+
+// Snippet of text around the first matching term, HTML-escaped, with matches wrapped
+// in <mark>. Terms match at the start of words so stemmed matches ("calls" for "call")
+// are highlighted too. Returns null when no term appears in the text.
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+  const value = text.toString();
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})`, 'gi');
+
+  const first = pattern.exec(value);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+  const end = Math.min(value.length, first.index + first[0].length + SNIPPET_CONTEXT * 2);
+  const snippet = value.slice(start, end);
+
+  const marked = snippet
+    .split(new RegExp(`\\b(${terms.map(escapeRegex).join('|')})`, 'gi'))
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return (start > 0 ? '…' : '') + marked + (end < value.length ? '…' : '');
+};
+
+// Highlights for a lead and its matching important points, as [{ field, snippet }]
+const buildHighlights = (lead, points, terms) => {
+  const highlights = [];
+  const add = (field, text) => {
+    const snippet = highlight(text, terms);
+    if (snippet) highlights.push({ field, snippet });
+  };
+
+  add('name', lead.name);
+  add('phone', lead.phone);
+  add('notes', lead.notes);
+  add('points', lead.points);
+  Object.entries(lead.additionalFields || {}).forEach(([key, value]) => {
+    if (typeof value === 'string') add(`additionalFields.${key}`, value);
+  });
+  points.forEach((point) => add(`importantPoints.${point._id}`, point.content));
+
+  return highlights;
+};
+
+module.exports = {
+  searchTerms,
+  highlight,
+  buildHighlights
+};